@@ -3,6 +3,8 @@ class AdvancedUX {
     constructor() {
         this.utils = window.PocketGNUUtils;
         this.errorHandler = window.PocketGNUErrorHandler;
+        this.storage = window.PocketGNUStorage;
+        this.events = window.PocketGNUEvents;
         this.isInitialized = false;
         this.currentTheme = 'default';
         this.userPreferences = {};
@@ -20,12 +22,14 @@ class AdvancedUX {
             this.utils.measurePerformance('Advanced UX Initialization', () => {
                 this.initLoadingStates();
                 this.initToastNotifications();
+                this.initEventToasts();
                 this.initGestureRecognition();
                 this.initHapticFeedback();
                 this.initVoiceCommands();
                 this.initKeyboardShortcuts();
                 this.initPersonalization();
                 this.loadUserPreferences();
+                this.registerOfflineHandlers();
                 this.isInitialized = true;
             });
             console.log('✅ Advanced UX features initialized successfully');
@@ -33,7 +37,7 @@ class AdvancedUX {
             this.errorHandler.logCustomError('Failed to initialize Advanced UX', {
                 error: error.message,
                 stack: error.stack
-            });
+            }, { severity: 'error', category: 'ui' });
         }
     }
 
@@ -57,7 +61,10 @@ class AdvancedUX {
                 element.setAttribute('aria-busy', 'true');
             });
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to show skeleton', { selector, error: error.message });
+            this.errorHandler.logCustomError('Failed to show skeleton', { selector, error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -69,7 +76,10 @@ class AdvancedUX {
                 element.removeAttribute('aria-busy');
             });
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to hide skeleton', { selector, error: error.message });
+            this.errorHandler.logCustomError('Failed to hide skeleton', { selector, error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -90,7 +100,10 @@ class AdvancedUX {
             `;
             container.style.display = 'block';
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to start progress', { error: error.message });
+            this.errorHandler.logCustomError('Failed to start progress', { error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -101,7 +114,10 @@ class AdvancedUX {
                 progressBar.style.width = `${Math.min(100, Math.max(0, percentage))}%`;
             }
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to update progress', { percentage, error: error.message });
+            this.errorHandler.logCustomError('Failed to update progress', { percentage, error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -113,7 +129,10 @@ class AdvancedUX {
                 container.innerHTML = '';
             }
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to stop progress', { error: error.message });
+            this.errorHandler.logCustomError('Failed to stop progress', { error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -130,6 +149,21 @@ class AdvancedUX {
         }
     }
 
+    // Toasts for things other modules announce on the event bus
+    initEventToasts() {
+        this.events.on('error:degraded', ({ message }) => {
+            this.showToast(message, { type: 'warning', duration: 8000 });
+        });
+        this.events.on('sw:updated', () => {
+            this.showToast('A new version of PocketGNU is ready.', {
+                type: 'info',
+                persistent: true,
+                actionText: 'Reload',
+                actionCallback: () => window.location.reload()
+            });
+        });
+    }
+
     showToast(message, options = {}) {
         try {
             const {
@@ -140,6 +174,10 @@ class AdvancedUX {
                 persistent = false
             } = options;
 
+            this.errorHandler.addBreadcrumb('toast', String(message).replace(/<[^>]*>/g, ' ').trim().slice(0, 200), {
+                type
+            });
+
             const container = this.utils.safeQuerySelector('#toast-container');
             if (!container) return;
 
@@ -188,7 +226,10 @@ class AdvancedUX {
 
             return toast;
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to show toast', { message, options, error: error.message });
+            this.errorHandler.logCustomError('Failed to show toast', { message, options, error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -201,7 +242,10 @@ class AdvancedUX {
                 }
             }, 300);
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to remove toast', { error: error.message });
+            this.errorHandler.logCustomError('Failed to remove toast', { error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -227,7 +271,10 @@ class AdvancedUX {
                 };
             }
         } catch (error) {
-            this.errorHandler.logCustomError('Touch start error', { error: error.message });
+            this.errorHandler.logCustomError('Touch start error', { error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -265,7 +312,10 @@ class AdvancedUX {
 
             this.gestureStartPos = null;
         } catch (error) {
-            this.errorHandler.logCustomError('Touch end error', { error: error.message });
+            this.errorHandler.logCustomError('Touch end error', { error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -295,12 +345,14 @@ class AdvancedUX {
             }
 
             this.errorHandler.logCustomError('Swipe gesture detected', { 
-                type: 'info', 
                 direction, 
                 target: target.className 
-            });
+            }, { severity: 'info', category: 'ui' });
         } catch (error) {
-            this.errorHandler.logCustomError('Swipe gesture error', { direction, error: error.message });
+            this.errorHandler.logCustomError('Swipe gesture error', { direction, error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -330,7 +382,7 @@ class AdvancedUX {
     // ===== HAPTIC FEEDBACK =====
 
     initHapticFeedback() {
-        this.hapticSupported = 'vibrate' in navigator;
+        this.hapticSupported = this.utils.supportsFeature('vibration');
         if (this.hapticSupported) {
             console.log('✅ Haptic feedback supported');
         }
@@ -351,14 +403,17 @@ class AdvancedUX {
 
             navigator.vibrate(patterns[type] || patterns.light);
         } catch (error) {
-            this.errorHandler.logCustomError('Haptic feedback error', { type, error: error.message });
+            this.errorHandler.logCustomError('Haptic feedback error', { type, error: error.message }, {
+                severity: 'warn',
+                category: 'ui'
+            });
         }
     }
 
     // ===== VOICE COMMANDS =====
 
     initVoiceCommands() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+        if (!this.utils.supportsFeature('speechRecognition')) {
             console.warn('Speech recognition not supported');
             return;
         }
@@ -377,12 +432,18 @@ class AdvancedUX {
             };
 
             this.speechRecognition.onerror = (event) => {
-                this.errorHandler.logCustomError('Speech recognition error', { error: event.error });
+                this.errorHandler.logCustomError('Speech recognition error', { error: event.error }, {
+                    severity: 'warn',
+                    category: 'ui'
+                });
             };
 
             console.log('✅ Voice commands initialized');
         } catch (error) {
-            this.errorHandler.logCustomError('Voice command initialization error', { error: error.message });
+            this.errorHandler.logCustomError('Voice command initialization error', { error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -394,7 +455,10 @@ class AdvancedUX {
             this.showToast('Listening for voice command...', { type: 'info', duration: 3000 });
             this.triggerHapticFeedback('light');
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to start voice recognition', { error: error.message });
+            this.errorHandler.logCustomError('Failed to start voice recognition', { error: error.message }, {
+                severity: 'warn',
+                category: 'ui'
+            });
         }
     }
 
@@ -419,7 +483,10 @@ class AdvancedUX {
                 this.triggerHapticFeedback('error');
             }
         } catch (error) {
-            this.errorHandler.logCustomError('Voice command processing error', { command, error: error.message });
+            this.errorHandler.logCustomError('Voice command processing error', { command, error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -437,6 +504,11 @@ class AdvancedUX {
         console.log('✅ Keyboard shortcuts initialized');
     }
 
+    // Register an additional shortcut, e.g. registerKeyboardShortcut('ctrl+shift+d', () => ...)
+    registerKeyboardShortcut(combo, action) {
+        this.keyboardShortcuts.set(combo.toLowerCase(), action);
+    }
+
     handleKeyboardShortcut(e) {
         try {
             const key = this.getKeyCombo(e);
@@ -448,7 +520,10 @@ class AdvancedUX {
                 this.triggerHapticFeedback('light');
             }
         } catch (error) {
-            this.errorHandler.logCustomError('Keyboard shortcut error', { error: error.message });
+            this.errorHandler.logCustomError('Keyboard shortcut error', { error: error.message }, {
+                severity: 'error',
+                category: 'ui'
+            });
         }
     }
 
@@ -472,6 +547,13 @@ class AdvancedUX {
     initPersonalization() {
         this.createPersonalizationModal();
         this.loadUserPreferences();
+
+        // Settings saved or reset in another tab
+        this.storage.onChange('preferences', (preferences, oldValue, { source }) => {
+            if (source === 'storage') {
+                this.applyUserPreferences(preferences || {});
+            }
+        });
     }
 
     createPersonalizationModal() {
@@ -621,6 +703,7 @@ class AdvancedUX {
                 document.documentElement.style.setProperty(property, value);
             });
         }
+        this.events.emit('theme:changed', { theme });
     }
 
     toggleTheme() {
@@ -646,43 +729,50 @@ class AdvancedUX {
                 }
             };
 
-            this.utils.safeLocalStorageSet('pocketgnu_preferences', preferences);
+            this.storage.set('preferences', preferences);
             this.userPreferences = preferences;
             this.showToast('Settings saved successfully!', { type: 'success' });
             this.closePersonalizationModal();
             this.triggerHapticFeedback('success');
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to save preferences', { error: error.message });
+            this.errorHandler.logCustomError('Failed to save preferences', { error: error.message }, {
+                severity: 'error',
+                category: 'storage'
+            });
             this.showToast('Failed to save settings', { type: 'error' });
         }
     }
 
     loadUserPreferences() {
         try {
-            const preferences = this.utils.safeLocalStorageGet('pocketgnu_preferences', {});
-            this.userPreferences = preferences;
-
-            if (preferences.theme) {
-                this.currentTheme = preferences.theme;
-                this.applyTheme(preferences.theme);
-            }
+            this.applyUserPreferences(this.storage.get('preferences'));
+        } catch (error) {
+            this.errorHandler.logCustomError('Failed to load preferences', { error: error.message }, {
+                severity: 'error',
+                category: 'storage'
+            });
+        }
+    }
 
-            // Apply other preferences
-            if (preferences.compactLayout) {
-                document.body.classList.add('compact-layout');
-            }
+    applyUserPreferences(preferences) {
+        this.userPreferences = preferences;
 
-            if (preferences.showAnimations === false) {
-                document.body.classList.add('no-animations');
-            }
-        } catch (error) {
-            this.errorHandler.logCustomError('Failed to load preferences', { error: error.message });
+        const theme = preferences.theme || 'default';
+        if (theme !== this.currentTheme) {
+            this.currentTheme = theme;
+            this.applyTheme(theme);
         }
+
+        // Apply other preferences
+        document.body.classList.toggle('compact-layout', Boolean(preferences.compactLayout));
+        // Without an explicit choice, follow the OS reduced-motion setting
+        const showAnimations = preferences.showAnimations ?? !this.utils.supportsFeature('prefersReducedMotion');
+        document.body.classList.toggle('no-animations', showAnimations === false);
     }
 
     resetUserPreferences() {
         try {
-            localStorage.removeItem('pocketgnu_preferences');
+            this.storage.remove('preferences');
             this.userPreferences = {};
             this.currentTheme = 'default';
             this.applyTheme('default');
@@ -691,7 +781,10 @@ class AdvancedUX {
             this.closePersonalizationModal();
             this.triggerHapticFeedback('medium');
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to reset preferences', { error: error.message });
+            this.errorHandler.logCustomError('Failed to reset preferences', { error: error.message }, {
+                severity: 'error',
+                category: 'storage'
+            });
         }
     }
 
@@ -699,12 +792,12 @@ class AdvancedUX {
 
     async toggleAISuggestions() {
         try {
-            const apiKey = this.utils.safeLocalStorageGet('openrouter_api_key');
+            const apiKey = this.storage.get('ai.apiKey');
             
             if (!apiKey) {
                 const key = prompt('Enter your OpenRouter API key for AI suggestions:');
                 if (key) {
-                    this.utils.safeLocalStorageSet('openrouter_api_key', key);
+                    this.storage.set('ai.apiKey', key);
                     this.showToast('API key saved. AI suggestions enabled!', { type: 'success' });
                 } else {
                     this.showToast('API key required for AI suggestions', { type: 'warning' });
@@ -715,65 +808,93 @@ class AdvancedUX {
             // Test AI suggestions with a sample query
             await this.fetchAISuggestions('help me with linux commands');
         } catch (error) {
-            this.errorHandler.logCustomError('AI suggestions error', { error: error.message });
+            this.errorHandler.logCustomError('AI suggestions error', { error: error.message }, {
+                severity: 'error',
+                category: 'network'
+            });
             this.showToast('Failed to enable AI suggestions', { type: 'error' });
         }
     }
 
+    // Questions asked while offline are replayed by the offline queue; the API key is added back at replay time
+    registerOfflineHandlers() {
+        window.PocketGNUOfflineQueue?.registerHandler('ai-suggestion', {
+            prepare: (entry) => ({
+                ...entry,
+                headers: {
+                    ...entry.headers,
+                    Authorization: `Bearer ${this.storage.get('ai.apiKey')}`
+                }
+            }),
+            onSuccess: (data) => this.showAISuggestion(data),
+            onFailure: () => this.showToast('A queued AI question could not be sent', { type: 'error' })
+        });
+    }
+
+    showAISuggestion(data) {
+        const suggestion = data.choices[0]?.message?.content || 'No suggestion available';
+
+        this.showToast(`AI Suggestion: ${suggestion}`, {
+            type: 'info',
+            duration: 10000,
+            actionText: this.utils.supportsFeature('clipboard') ? 'Copy' : null,
+            actionCallback: () => navigator.clipboard.writeText(suggestion)
+        });
+
+        return suggestion;
+    }
+
     async fetchAISuggestions(query) {
         try {
-            const apiKey = this.utils.safeLocalStorageGet('openrouter_api_key');
+            const apiKey = this.storage.get('ai.apiKey');
             if (!apiKey) {
                 throw new Error('API key not found');
             }
 
             this.startProgress('Getting AI suggestions...');
 
-            const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                method: 'POST',
+            const data = await this.utils.httpPost('https://openrouter.ai/api/v1/chat/completions', {
+                model: 'openai/gpt-4o',
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'You are a helpful Linux terminal assistant. ' +
+                            'Provide concise, practical command suggestions and explanations.'
+                    },
+                    {
+                        role: 'user',
+                        content: query
+                    }
+                ],
+                max_tokens: 150,
+                temperature: 0.7
+            }, {
                 headers: {
                     'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
                     'HTTP-Referer': window.location.origin,
                     'X-Title': 'PocketGNU'
                 },
-                body: JSON.stringify({
-                    model: 'openai/gpt-4o',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are a helpful Linux terminal assistant. Provide concise, practical command suggestions and explanations.'
-                        },
-                        {
-                            role: 'user',
-                            content: query
-                        }
-                    ],
-                    max_tokens: 150,
-                    temperature: 0.7
-                })
+                timeout: 20000,
+                retry: { attempts: 2 }, // Only rate limits, server errors and dropped connections are retried
+                context: 'OpenRouter',
+                responseType: 'json',
+                offline: { handler: 'ai-suggestion' }
             });
 
             this.stopProgress();
 
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status}`);
+            if (data.queued) {
+                this.showToast('You are offline. Your question will be sent when you reconnect.', { type: 'info' });
+                return null;
             }
 
-            const data = await response.json();
-            const suggestion = data.choices[0]?.message?.content || 'No suggestion available';
-
-            this.showToast(`AI Suggestion: ${suggestion}`, {
-                type: 'info',
-                duration: 10000,
-                actionText: 'Copy',
-                actionCallback: () => navigator.clipboard?.writeText(suggestion)
-            });
-
-            return suggestion;
+            return this.showAISuggestion(data);
         } catch (error) {
             this.stopProgress();
-            this.errorHandler.logCustomError('AI suggestions fetch error', { query, error: error.message });
+            this.errorHandler.logCustomError('AI suggestions fetch error', { query, error: error.message }, {
+                severity: 'error',
+                category: 'network'
+            });
             this.showToast('Failed to get AI suggestions', { type: 'error' });
             throw error;
         }
@@ -783,11 +904,15 @@ class AdvancedUX {
 
     clearCache() {
         try {
-            localStorage.clear();
+            // Only PocketGNU's own keys; other apps on this origin keep their data
+            this.storage.clear();
             this.showToast('Cache cleared successfully', { type: 'success' });
             this.triggerHapticFeedback('medium');
         } catch (error) {
-            this.errorHandler.logCustomError('Failed to clear cache', { error: error.message });
+            this.errorHandler.logCustomError('Failed to clear cache', { error: error.message }, {
+                severity: 'error',
+                category: 'storage'
+            });
             this.showToast('Failed to clear cache', { type: 'error' });
         }
     }
@@ -0,0 +1,199 @@
+// Component Lifecycle and Error Boundaries for PocketGNU
+//
+// A component is registered with a mount(ctx) function. Everything it schedules or listens to goes through ctx,
+// so unmount() can tear it all down and runtime errors are caught by the component's error boundary.
+class ComponentRegistry {
+    constructor() {
+        this.utils = window.PocketGNUUtils;
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.components = new Map(); // status: idle | healthy | degraded | crashed | unmounted
+    }
+
+    // definition: { mount(ctx), slot: selector for fallback UI, errorBudget: { threshold, windowMs } }
+    register(name, definition) {
+        if (this.components.has(name)) {
+            console.warn(`Component "${name}" is already registered`);
+            return this.components.get(name);
+        }
+
+        const component = {
+            name,
+            mount: definition.mount,
+            slot: definition.slot || null,
+            status: 'idle',
+            lastError: null,
+            errorCount: 0,
+            scope: null,
+            originalSlotHtml: null
+        };
+
+        // Error budget from ErrorHandler: once tripped, the boundary crashes the component
+        component.alertRule = this.errorHandler.registerComponent(name, {
+            ...definition.errorBudget,
+            disable: () => this.crash(name)
+        });
+
+        this.components.set(name, component);
+        return component;
+    }
+
+    get(name) {
+        return this.components.get(name) || null;
+    }
+
+    // ===== LIFECYCLE =====
+
+    mount(name) {
+        const component = this.get(name);
+        if (!component) {
+            console.warn(`Cannot mount unknown component "${name}"`);
+            return false;
+        }
+        if (component.status === 'healthy' || component.status === 'degraded') {
+            return true;
+        }
+
+        const slot = component.slot ? this.utils.safeQuerySelector(component.slot) : null;
+        if (slot && component.originalSlotHtml === null) {
+            component.originalSlotHtml = slot.innerHTML;
+        }
+
+        component.scope = this.createScope(component, slot);
+        component.errorCount = 0;
+        component.lastError = null;
+
+        try {
+            const cleanup = this.utils.measurePerformance(component.name, () => this.utils.trackExecution(
+                `${component.name} mount`, { component: component.name }, () => component.mount(component.scope)
+            ));
+            if (typeof cleanup === 'function') {
+                component.scope.onCleanup(cleanup);
+            }
+            component.status = 'healthy';
+            console.log(`✅ ${component.name} initialized successfully`);
+            return true;
+        } catch (error) {
+            this.errorHandler.logCustomError(`Failed to initialize ${component.name}`, {
+                component: component.name,
+                error: error.message,
+                stack: error.stack
+            }, { severity: 'error', category: 'ui' });
+            component.lastError = error.message;
+            this.crash(name);
+            return false;
+        }
+    }
+
+    unmount(name, status = 'unmounted') {
+        const component = this.get(name);
+        if (!component || !component.scope) {
+            return;
+        }
+
+        component.scope.dispose();
+        component.scope = null;
+        component.status = status;
+    }
+
+    // Restore the original slot markup, reset the error budget and mount again
+    restart(name) {
+        const component = this.get(name);
+        if (!component) {
+            return false;
+        }
+
+        this.unmount(name);
+        if (component.slot && component.originalSlotHtml !== null) {
+            const slot = this.utils.safeQuerySelector(component.slot);
+            if (slot) {
+                slot.innerHTML = component.originalSlotHtml;
+            }
+        }
+        this.errorHandler.resetAlertRule(component.alertRule);
+        return this.mount(name);
+    }
+
+    mountAll() {
+        this.components.forEach((component, name) => this.mount(name));
+    }
+
+    getStatus() {
+        const status = {};
+        this.components.forEach((component, name) => {
+            status[name] = {
+                status: component.status,
+                errorCount: component.errorCount,
+                lastError: component.lastError
+            };
+        });
+        return status;
+    }
+
+    // ===== ERROR BOUNDARY =====
+
+    // Runtime errors mark the component degraded; the ErrorHandler budget decides when it has crashed
+    handleRuntimeError(component, error, source) {
+        component.errorCount += 1;
+        component.lastError = error.message;
+        if (component.status === 'healthy') {
+            component.status = 'degraded';
+        }
+
+        this.errorHandler.logCustomError(`${component.name} ${source} error: ${error.message}`, {
+            component: component.name,
+            error: error.message,
+            stack: error.stack
+        }, { severity: 'error', category: 'ui' });
+    }
+
+    crash(name) {
+        const component = this.get(name);
+        if (!component || component.status === 'crashed') {
+            return;
+        }
+        this.unmount(name, 'crashed');
+        component.status = 'crashed';
+        this.renderFallback(component);
+    }
+
+    renderFallback(component) {
+        if (!component.slot) {
+            return;
+        }
+        const slot = this.utils.safeQuerySelector(component.slot);
+        if (!slot) {
+            return;
+        }
+
+        slot.innerHTML = `
+            <div class="component-fallback" role="status">
+                <span class="component-fallback-message">${component.name} is temporarily unavailable.</span>
+                <button type="button" class="component-fallback-retry">Retry</button>
+            </div>
+        `;
+        this.utils.safeAddEventListener(slot.querySelector('.component-fallback-retry'), 'click', () => {
+            this.restart(component.name);
+        });
+    }
+
+    // ===== SCOPE =====
+
+    // Per-mount resources (see js/scope.js); the scope is the ctx handed to mount(), with the slot element added.
+    // Callback errors go to the component's error boundary instead of the default logging.
+    createScope(component, slot) {
+        const scope = window.PocketGNUScopes.create(component.name, {
+            context: { component: component.name },
+            onError: (error, source) => this.handleRuntimeError(component, error, source)
+        });
+        scope.slot = slot;
+        return scope;
+    }
+}
+
+// Create global component registry instance
+window.PocketGNUComponents = new ComponentRegistry();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComponentRegistry;
+}
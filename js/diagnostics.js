@@ -0,0 +1,904 @@
+// In-app Diagnostics Panel for PocketGNU - error log, Core Web Vitals and service worker metrics
+class DiagnosticsPanel {
+    constructor() {
+        this.utils = window.PocketGNUUtils;
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.storage = window.PocketGNUStorage;
+        this.events = window.PocketGNUEvents;
+        this.stackTrace = window.PocketGNUStackTrace || null;
+        this.modal = null;
+        this.isOpen = false;
+        this.refreshInterval = null;
+        this.refreshRate = 2000; // Live sections refresh every 2 seconds while open
+        this.unsubscribers = []; // Event bus subscriptions held while open
+        this.errorSignature = '';
+        this.filters = { type: 'all', severity: 'all' };
+        this.serviceWorkerMetrics = null;
+        this.importedBundle = null; // Set while viewing an imported bundle read-only
+        this.bundleVersion = 1;
+        this.preferenceKeys = ['preferences', 'countdown.target', 'ai.apiKey'];
+    }
+
+    // ===== OPEN / CLOSE =====
+
+    open() {
+        try {
+            if (!this.modal) {
+                this.createModal();
+            }
+            this.modal.classList.add('active');
+            this.modal.setAttribute('aria-hidden', 'false');
+            document.body.style.overflow = 'hidden';
+            this.isOpen = true;
+
+            this.errorSignature = '';
+            this.refresh();
+            this.refreshInterval = this.utils.safeSetInterval(() => this.refresh(), this.refreshRate);
+            // New errors and vitals show up as they happen rather than on the next refresh
+            this.unsubscribers = [
+                this.events.on('error:logged', () => this.renderErrors()),
+                this.events.on('vitals:updated', () => {
+                    if (!this.importedBundle) {
+                        this.renderVitals(this.getPerformanceMetrics());
+                    }
+                })
+            ];
+            this.modal.querySelector('.settings-close')?.focus();
+        } catch (error) {
+            this.errorHandler.logCustomError('Failed to open diagnostics panel', {
+                error: error.message,
+                stack: error.stack
+            }, { severity: 'error', category: 'ui' });
+        }
+    }
+
+    close() {
+        if (!this.modal || !this.isOpen) {
+            return;
+        }
+
+        this.modal.classList.remove('active');
+        this.modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+        this.isOpen = false;
+
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.id = 'diagnostics-modal';
+        modal.className = 'settings-modal diagnostics-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-labelledby', 'diagnostics-title');
+        modal.setAttribute('aria-hidden', 'true');
+
+        modal.innerHTML = `
+            <div class="settings-overlay" data-close="true"></div>
+            <div class="settings-content diagnostics-content">
+                <div class="settings-header">
+                    <h2 id="diagnostics-title" class="settings-title">Diagnostics</h2>
+                    <button class="settings-close" aria-label="Close diagnostics">×</button>
+                </div>
+                <div class="settings-body">
+                    <div class="diagnostics-import-banner" id="diagnostics-import-banner" hidden>
+                        <span id="diagnostics-import-label"></span>
+                        <button class="btn btn-secondary" id="diagnostics-show-live">Back to Live Data</button>
+                    </div>
+                    <div class="settings-section">
+                        <h3 class="settings-section-title">Errors</h3>
+                        <div class="diagnostics-filters">
+                            <label class="settings-label" for="diagnostics-filter-type">Type</label>
+                            <select id="diagnostics-filter-type" class="diagnostics-select"></select>
+                            <label class="settings-label" for="diagnostics-filter-severity">Severity</label>
+                            <select id="diagnostics-filter-severity" class="diagnostics-select"></select>
+                        </div>
+                        <div class="diagnostics-summary" id="diagnostics-error-summary"></div>
+                        <div class="diagnostics-error-list" id="diagnostics-error-list"></div>
+                    </div>
+                    <div class="settings-section">
+                        <h3 class="settings-section-title">Core Web Vitals</h3>
+                        <dl class="diagnostics-metrics" id="diagnostics-vitals"></dl>
+                    </div>
+                    <div class="settings-section">
+                        <h3 class="settings-section-title">Performance Budgets</h3>
+                        <div class="diagnostics-table-wrapper" id="diagnostics-budgets"></div>
+                    </div>
+                    <div class="settings-section">
+                        <h3 class="settings-section-title">Long Tasks</h3>
+                        <div class="diagnostics-table-wrapper" id="diagnostics-long-tasks"></div>
+                    </div>
+                    <div class="settings-section">
+                        <h3 class="settings-section-title">Resource Timings</h3>
+                        <div class="diagnostics-table-wrapper" id="diagnostics-resources"></div>
+                    </div>
+                    <div class="settings-section">
+                        <h3 class="settings-section-title">Service Worker Cache</h3>
+                        <dl class="diagnostics-metrics" id="diagnostics-sw"></dl>
+                    </div>
+                    <div class="settings-section">
+                        <h3 class="settings-section-title">Environment</h3>
+                        <dl class="diagnostics-metrics" id="diagnostics-features"></dl>
+                        <pre class="diagnostics-pre" id="diagnostics-preferences"></pre>
+                    </div>
+                </div>
+                <div class="settings-footer diagnostics-footer">
+                    <button class="btn btn-primary" id="diagnostics-copy">Copy Report</button>
+                    <button class="btn btn-secondary" id="diagnostics-export-json">Export JSON</button>
+                    <button class="btn btn-secondary" id="diagnostics-export-ndjson">Export NDJSON</button>
+                    <button class="btn btn-secondary" id="diagnostics-import">Import Bundle</button>
+                    <button class="btn btn-secondary" id="diagnostics-sourcemaps">Load Source Maps</button>
+                    <button class="btn btn-secondary" id="diagnostics-clear">Clear Errors</button>
+                    <input type="file" id="diagnostics-import-file" accept=".json,.ndjson,application/json" hidden>
+                    <input type="file" id="diagnostics-sourcemap-file" accept=".map,.json" multiple hidden>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const modal = this.modal;
+
+        this.utils.safeAddEventListener(modal.querySelector('.settings-close'), 'click', () => this.close());
+        this.utils.safeAddEventListener(modal.querySelector('.settings-overlay'), 'click', () => this.close());
+        this.utils.safeAddEventListener(modal, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-filter-type'), 'change', (e) => {
+            this.filters.type = e.target.value;
+            this.renderErrors(true);
+        });
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-filter-severity'), 'change', (e) => {
+            this.filters.severity = e.target.value;
+            this.renderErrors(true);
+        });
+
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-copy'), 'click', () => this.copyReport());
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-clear'), 'click', () => this.clearErrors());
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-export-json'), 'click', () => {
+            this.exportBundle('json');
+        });
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-export-ndjson'), 'click', () => {
+            this.exportBundle('ndjson');
+        });
+
+        const fileInput = modal.querySelector('#diagnostics-import-file');
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-import'), 'click', () => fileInput.click());
+        this.utils.safeAddEventListener(fileInput, 'change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file twice in a row
+            if (file) {
+                this.importBundle(file);
+            }
+        });
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-show-live'), 'click', () => this.showLive());
+
+        const sourceMapInput = modal.querySelector('#diagnostics-sourcemap-file');
+        this.utils.safeAddEventListener(modal.querySelector('#diagnostics-sourcemaps'), 'click', () => {
+            sourceMapInput.click();
+        });
+        this.utils.safeAddEventListener(sourceMapInput, 'change', (e) => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            if (files.length > 0) {
+                this.loadSourceMaps(files);
+            }
+        });
+    }
+
+    // ===== RENDERING =====
+
+    refresh() {
+        if (!this.isOpen) {
+            return;
+        }
+
+        const data = this.getViewData();
+        this.renderErrors();
+        this.renderVitals(data.performance);
+        this.renderBudgets(data.performance);
+        this.renderLongTasks(data.performance);
+        this.renderResources(data.performance);
+        this.renderEnvironment(data.features, data.preferences);
+
+        // Imported bundles are a frozen snapshot, so only live mode polls the service worker
+        if (this.importedBundle) {
+            this.renderServiceWorker(data.serviceWorker);
+            return;
+        }
+        this.requestServiceWorkerMetrics().then(metrics => {
+            this.serviceWorkerMetrics = metrics;
+            if (!this.importedBundle) {
+                this.renderServiceWorker(metrics);
+            }
+        });
+    }
+
+    // What the panel currently shows: the imported bundle, or a lightweight live snapshot
+    getViewData() {
+        if (this.importedBundle) {
+            return this.importedBundle;
+        }
+        return {
+            errors: this.errorHandler.errors,
+            errorStats: this.errorHandler.getErrorStats(),
+            performance: this.getPerformanceMetrics(),
+            serviceWorker: this.serviceWorkerMetrics,
+            features: this.utils.getCapabilities(),
+            preferences: this.getRedactedPreferences()
+        };
+    }
+
+    // Re-render the error list only when it changed, so expanded entries stay open between refreshes
+    renderErrors(force = false) {
+        const data = this.getViewData();
+        const errors = data.errors || [];
+        const source = this.importedBundle ? 'imported' : 'live';
+        const signature = `${source}|${errors.map(error => `${error.fingerprint}:${error.count || 1}`).join(',')}`;
+        if (!force && signature === this.errorSignature) {
+            return;
+        }
+        this.errorSignature = signature;
+
+        this.renderFilterOptions(errors);
+
+        const stats = data.errorStats || { bySeverity: {} };
+        const summary = this.modal.querySelector('#diagnostics-error-summary');
+        summary.innerHTML = this.errorHandler.severities
+            .map(severity => `
+                <span class="diagnostics-badge diagnostics-severity-${severity}">
+                    ${severity}: ${Number(stats.bySeverity?.[severity]) || 0}
+                </span>
+            `)
+            .join('');
+
+        const filtered = errors.filter(error =>
+            (this.filters.type === 'all' || error.type === this.filters.type) &&
+            (this.filters.severity === 'all' || error.severity === this.filters.severity)
+        );
+
+        const list = this.modal.querySelector('#diagnostics-error-list');
+        if (filtered.length === 0) {
+            list.innerHTML = '<p class="diagnostics-empty">No errors recorded.</p>';
+            return;
+        }
+
+        // Newest first
+        list.innerHTML = filtered.slice().reverse().map(error => this.renderErrorEntry(error)).join('');
+    }
+
+    renderFilterOptions(errors) {
+        const typeSelect = this.modal.querySelector('#diagnostics-filter-type');
+        const severitySelect = this.modal.querySelector('#diagnostics-filter-severity');
+        const types = [...new Set(errors.map(error => error.type))];
+
+        typeSelect.innerHTML = this.renderOptions(['all', ...types], this.filters.type);
+        severitySelect.innerHTML = this.renderOptions(['all', ...this.errorHandler.severities], this.filters.severity);
+    }
+
+    renderOptions(values, selected) {
+        return values
+            .map(value => {
+                const isSelected = value === selected ? ' selected' : '';
+                return `<option value="${this.escapeHtml(value)}"${isSelected}>${this.escapeHtml(value)}</option>`;
+            })
+            .join('');
+    }
+
+    renderErrorEntry(error) {
+        const count = error.count > 1 ? ` <span class="diagnostics-count">×${error.count}</span>` : '';
+        const stack = error.stack || error.context?.stack || error.retryContext?.stack;
+        const details = {
+            timestamp: error.timestamp,
+            lastSeen: error.lastSeen,
+            category: error.category,
+            fingerprint: error.fingerprint,
+            context: error.context,
+            retryContext: error.retryContext,
+            breadcrumbs: error.breadcrumbs
+        };
+
+        return `
+            <details class="diagnostics-error diagnostics-severity-${this.escapeHtml(error.severity)}">
+                <summary>
+                    <span class="diagnostics-badge">${this.escapeHtml(error.severity)}</span>
+                    <span class="diagnostics-error-type">${this.escapeHtml(error.type)}</span>
+                    <span class="diagnostics-error-message">${this.escapeHtml(error.message)}</span>${count}
+                </summary>
+                ${stack ? `<pre class="diagnostics-pre">${this.escapeHtml(stack)}</pre>` : ''}
+                ${this.renderFrames(error, stack)}
+                <pre class="diagnostics-pre">${this.escapeHtml(this.stringify(details))}</pre>
+            </details>
+        `;
+    }
+
+    // Parsed frames next to their source-mapped positions; older bundles without frames are parsed here
+    renderFrames(error, stack) {
+        if (!this.stackTrace) {
+            return '';
+        }
+        const frames = error.frames && error.frames.length > 0 ? error.frames : this.stackTrace.parse(stack);
+        if (frames.length === 0) {
+            return '';
+        }
+
+        const rows = this.stackTrace.symbolicate(frames)
+            .map(frame => {
+                const resolved = frame.original ? this.stackTrace.formatFrame(frame.original) : '—';
+                return `
+                    <tr>
+                        <td>${this.escapeHtml(this.stackTrace.formatFrame(frame))}</td>
+                        <td>${this.escapeHtml(resolved)}</td>
+                    </tr>
+                `;
+            })
+            .join('');
+
+        return `
+            <div class="diagnostics-table-wrapper">
+                <table class="diagnostics-table diagnostics-frames">
+                    <thead><tr><th>Frame</th><th>Resolved</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderVitals(metrics) {
+        const container = this.modal.querySelector('#diagnostics-vitals');
+        if (!metrics) {
+            container.innerHTML = '<p class="diagnostics-empty">Performance metrics unavailable.</p>';
+            return;
+        }
+
+        const attribution = metrics.attribution || {};
+        const vitals = [
+            ['LCP', metrics.largestContentfulPaint, 'ms', this.describeAttribution('lcp', attribution.lcp)],
+            ['INP', metrics.interactionToNextPaint, 'ms', this.describeAttribution('inp', attribution.inp)],
+            ['CLS', metrics.cumulativeLayoutShift, '', this.describeAttribution('cls', attribution.cls)],
+            ['TTFB', metrics.timeToFirstByte, 'ms', this.describeAttribution('ttfb', attribution.ttfb)],
+            ['FCP', metrics.firstContentfulPaint, 'ms'],
+            ['First Paint', metrics.firstPaint, 'ms'],
+            ['DOM Content Loaded', metrics.domContentLoaded, 'ms'],
+            ['Load Time', metrics.loadTime, 'ms']
+        ];
+
+        container.innerHTML = vitals
+            .map(([label, value, unit, detail]) => `
+                <dt>${label}</dt>
+                <dd>
+                    ${this.formatMetric(value, unit)}
+                    ${detail ? `<div class="diagnostics-attribution">${this.escapeHtml(detail)}</div>` : ''}
+                </dd>
+            `)
+            .join('');
+    }
+
+    // One line on what made a vital slow, e.g. "click on button#save: input 12ms, processing 180ms, paint 20ms"
+    describeAttribution(vital, attribution) {
+        if (!attribution) {
+            return '';
+        }
+        const ms = value => `${Math.round(value)}ms`;
+        if (vital === 'lcp') {
+            return [attribution.element, attribution.url && this.shortenUrl(attribution.url),
+                attribution.final ? null : 'not final yet'].filter(Boolean).join(' · ');
+        }
+        if (vital === 'inp') {
+            return `${attribution.type} on ${attribution.target || 'a removed element'}: ` +
+                `input ${ms(attribution.inputDelay)}, processing ${ms(attribution.processingDuration)}, ` +
+                `paint ${ms(attribution.presentationDelay)}`;
+        }
+        if (vital === 'cls') {
+            return `${attribution.element || 'unknown element'} shifted at ${ms(attribution.shiftTime)}`;
+        }
+        return `waiting ${ms(attribution.waiting)}, DNS ${ms(attribution.dns)}, ` +
+            `connection ${ms(attribution.connection)}, request ${ms(attribution.request)}`;
+    }
+
+    renderBudgets(metrics) {
+        const container = this.modal.querySelector('#diagnostics-budgets');
+        const summary = metrics?.budgets;
+        if (!summary) {
+            container.innerHTML = '<p class="diagnostics-empty">Budgets unavailable.</p>';
+            return;
+        }
+        if (summary.withinBudget) {
+            container.innerHTML = '<p class="diagnostics-empty">✅ Everything measured so far is within budget.</p>';
+            return;
+        }
+
+        const rows = summary.violations
+            .map(violation => `
+                <tr>
+                    <td>${this.escapeHtml(violation.budget)}</td>
+                    <td class="diagnostics-url" title="${this.escapeHtml(violation.resource || '')}">
+                        ${this.escapeHtml(violation.resource ? this.shortenUrl(violation.resource) : '-')}
+                    </td>
+                    <td>${this.escapeHtml(this.formatBudget(violation.budget, violation.actual))}</td>
+                    <td>${this.escapeHtml(this.formatBudget(violation.budget, violation.limit))}</td>
+                </tr>
+            `)
+            .join('');
+
+        container.innerHTML = `
+            <table class="diagnostics-table">
+                <thead><tr><th>Budget</th><th>Resource</th><th>Actual</th><th>Limit</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Per component, worst first; "blocked input" counts long frames that delayed a tap or key press
+    renderLongTasks(metrics) {
+        const container = this.modal.querySelector('#diagnostics-long-tasks');
+        const longTasks = metrics?.longTasks;
+        const components = Object.entries(longTasks?.byComponent || {});
+        if (components.length === 0) {
+            container.innerHTML = '<p class="diagnostics-empty">No long tasks recorded.</p>';
+            return;
+        }
+
+        const rows = components
+            .sort(([, a], [, b]) => b.totalDuration - a.totalDuration)
+            .map(([name, stats]) => `
+                <tr>
+                    <td>${this.escapeHtml(name)}</td>
+                    <td>${Number(stats.count) || 0}</td>
+                    <td>${this.formatMetric(stats.totalDuration, 'ms')}</td>
+                    <td>${Number(stats.blockingInput) || 0}</td>
+                </tr>
+            `)
+            .join('');
+
+        const device = longTasks.lowEndDevice ? ' · low-end device' : '';
+        container.innerHTML = `
+            <p class="diagnostics-empty">Source: ${this.escapeHtml(longTasks.source)}${device}</p>
+            <table class="diagnostics-table">
+                <thead><tr><th>Component</th><th>Count</th><th>Total</th><th>Blocked input</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Imported bundles have no optimizer to ask, so this mirrors PerformanceOptimizer.formatBudgetValue
+    formatBudget(budget, value) {
+        if (/bytes$/i.test(budget)) {
+            return `${(value / 1024).toFixed(1)} KB`;
+        }
+        if (budget === 'vitals.cls') {
+            return Number(value).toFixed(3);
+        }
+        return budget === 'longTasks' ? String(value) : this.formatMetric(value, 'ms');
+    }
+
+    renderResources(metrics) {
+        const container = this.modal.querySelector('#diagnostics-resources');
+        const resources = Object.entries(metrics?.resourceLoadTimes || {});
+        if (resources.length === 0) {
+            container.innerHTML = '<p class="diagnostics-empty">No resource timings recorded.</p>';
+            return;
+        }
+
+        // Slowest first
+        const rows = resources
+            .sort(([, a], [, b]) => b.loadTime - a.loadTime)
+            .map(([url, timing]) => `
+                <tr>
+                    <td class="diagnostics-url" title="${this.escapeHtml(url)}">
+                        ${this.escapeHtml(this.shortenUrl(url))}
+                    </td>
+                    <td>${this.escapeHtml(timing.type)}</td>
+                    <td>${this.formatMetric(timing.loadTime, 'ms')}</td>
+                    <td>${(timing.size / 1024).toFixed(1)} KB</td>
+                </tr>
+            `)
+            .join('');
+
+        container.innerHTML = `
+            <table class="diagnostics-table">
+                <thead><tr><th>Resource</th><th>Type</th><th>Duration</th><th>Size</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderServiceWorker(metrics) {
+        if (!this.isOpen) {
+            return;
+        }
+
+        const container = this.modal.querySelector('#diagnostics-sw');
+        if (!metrics) {
+            container.innerHTML = '<p class="diagnostics-empty">No active service worker.</p>';
+            return;
+        }
+
+        // Imported bundles can hold anything, so only numbers reach the markup
+        const [cacheHits, cacheMisses, networkRequests, errors] = [
+            metrics.cacheHits, metrics.cacheMisses, metrics.networkRequests, metrics.errors
+        ].map(value => Number(value) || 0);
+        const lookups = cacheHits + cacheMisses;
+        const hitRate = lookups > 0 ? `${((cacheHits / lookups) * 100).toFixed(1)}%` : '—';
+        container.innerHTML = `
+            <dt>Cache Hits</dt><dd>${cacheHits}</dd>
+            <dt>Cache Misses</dt><dd>${cacheMisses}</dd>
+            <dt>Hit Rate</dt><dd>${hitRate}</dd>
+            <dt>Network Requests</dt><dd>${networkRequests}</dd>
+            <dt>Errors</dt><dd>${errors}</dd>
+        `;
+    }
+
+    renderEnvironment(features, preferences) {
+        const featureList = this.modal.querySelector('#diagnostics-features');
+        featureList.innerHTML = Object.entries(features || {})
+            .map(([feature, value]) => `
+                <dt>${this.escapeHtml(feature)}</dt>
+                <dd>${this.formatCapability(value)}</dd>
+            `)
+            .join('');
+
+        this.modal.querySelector('#diagnostics-preferences').textContent = this.stringify(preferences || {});
+    }
+
+    // Most capabilities are booleans; a few report a value, e.g. prefersColorScheme or performanceEntryTypes
+    formatCapability(value) {
+        if (typeof value === 'boolean') {
+            return value ? '✅ supported' : '❌ unsupported';
+        }
+        return this.escapeHtml(Array.isArray(value) ? value.join(', ') || 'none' : String(value));
+    }
+
+    renderImportBanner() {
+        const banner = this.modal.querySelector('#diagnostics-import-banner');
+        const clearButton = this.modal.querySelector('#diagnostics-clear');
+        if (!this.importedBundle) {
+            banner.hidden = true;
+            clearButton.disabled = false;
+            return;
+        }
+
+        const meta = this.importedBundle.meta || {};
+        this.modal.querySelector('#diagnostics-import-label').textContent =
+            `Read-only: bundle from ${meta.generatedAt || 'unknown date'} (${meta.url || 'unknown page'})`;
+        banner.hidden = false;
+        clearButton.disabled = true;
+    }
+
+    // ===== DATA SOURCES =====
+
+    getPerformanceMetrics() {
+        const optimizer = window.PocketGNUPerformanceOptimizer;
+        return optimizer && typeof optimizer.getMetrics === 'function' ? optimizer.getMetrics() : null;
+    }
+
+    // Ask the active service worker for its counters; resolves null when there is none or it does not answer
+    requestServiceWorkerMetrics(timeout = 1000) {
+        if (!this.utils.supportsFeature('serviceWorker') || !navigator.serviceWorker.controller) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve(null), timeout);
+
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                resolve(event.data?.type === 'METRICS_RESPONSE' ? event.data.payload : null);
+            };
+
+            try {
+                navigator.serviceWorker.controller.postMessage({ type: 'GET_METRICS' }, [channel.port2]);
+            } catch (error) {
+                clearTimeout(timer);
+                this.errorHandler.logCustomError('Failed to request service worker metrics', {
+                    error: error.message
+                }, { severity: 'warn', category: 'service-worker' });
+                resolve(null);
+            }
+        });
+    }
+
+    // Preferences as stored, run through the error scrubber so secrets are redacted
+    getRedactedPreferences() {
+        const preferences = {};
+        this.preferenceKeys.forEach(key => {
+            const value = this.storage.get(key);
+            if (value !== null) {
+                preferences[key] = value;
+            }
+        });
+        return this.errorHandler.scrub(preferences);
+    }
+
+    getPersistedErrors() {
+        const store = this.errorHandler.store;
+        return store ? store.query({ order: 'asc' }) : Promise.resolve([]);
+    }
+
+    // ===== BUNDLES =====
+
+    // Everything support needs to inspect a user's session; the current live state even while viewing an import
+    async buildBundle() {
+        const serviceWorker = await this.requestServiceWorkerMetrics();
+        const persistedErrors = await this.getPersistedErrors();
+        return {
+            meta: {
+                bundleVersion: this.bundleVersion,
+                generatedAt: new Date().toISOString(),
+                url: window.location.href,
+                userAgent: navigator.userAgent
+            },
+            errors: this.errorHandler.errors,
+            persistedErrors,
+            errorStats: this.errorHandler.getErrorStats(),
+            performance: this.getPerformanceMetrics(),
+            preferences: this.getRedactedPreferences(),
+            features: this.utils.getCapabilities(),
+            serviceWorker
+        };
+    }
+
+    // JSON is one pretty-printed document; NDJSON is one { kind, data } record per line, one line per error
+    serializeBundle(bundle, format = 'json') {
+        if (format !== 'ndjson') {
+            return this.stringify(bundle);
+        }
+
+        const lines = [{ kind: 'meta', data: bundle.meta }];
+        bundle.errors.forEach(error => lines.push({ kind: 'error', data: error }));
+        bundle.persistedErrors.forEach(error => lines.push({ kind: 'persistedError', data: error }));
+        ['errorStats', 'performance', 'preferences', 'features', 'serviceWorker'].forEach(kind => {
+            lines.push({ kind, data: bundle[kind] });
+        });
+        return lines.map(line => this.stringify(line, 0)).join('\n') + '\n';
+    }
+
+    // Accepts either format produced by serializeBundle
+    parseBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch {
+            bundle = { errors: [], persistedErrors: [] };
+            text.split('\n').filter(line => line.trim()).forEach((line, index) => {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid NDJSON on line ${index + 1}: ${error.message}`);
+                }
+                if (record.kind === 'error') {
+                    bundle.errors.push(record.data);
+                } else if (record.kind === 'persistedError') {
+                    bundle.persistedErrors.push(record.data);
+                } else {
+                    bundle[record.kind] = record.data;
+                }
+            });
+        }
+
+        if (!bundle || !bundle.meta || typeof bundle.meta.bundleVersion !== 'number') {
+            throw new Error('Not a PocketGNU diagnostic bundle');
+        }
+        if (bundle.meta.bundleVersion > this.bundleVersion) {
+            throw new Error(`Unsupported bundle version ${bundle.meta.bundleVersion}`);
+        }
+        bundle.errors = Array.isArray(bundle.errors) ? bundle.errors : [];
+        bundle.persistedErrors = Array.isArray(bundle.persistedErrors) ? bundle.persistedErrors : [];
+        bundle.errorStats = this.normalizeErrorStats(bundle.errorStats);
+        return bundle;
+    }
+
+    // Counters in an imported bundle end up in markup, so anything that is not a number becomes 0
+    normalizeErrorStats(stats) {
+        const source = stats && typeof stats === 'object' ? stats : {};
+        const toCounts = counts => Object.fromEntries(Object.entries(counts && typeof counts === 'object' ? counts : {})
+            .map(([key, value]) => [key, Number(value) || 0]));
+        return {
+            ...source,
+            total: Number(source.total) || 0,
+            occurrences: Number(source.occurrences) || 0,
+            byType: toCounts(source.byType),
+            bySeverity: toCounts(source.bySeverity),
+            byCategory: toCounts(source.byCategory)
+        };
+    }
+
+    async exportBundle(format = 'json') {
+        try {
+            const bundle = await this.buildBundle();
+            const extension = format === 'ndjson' ? 'ndjson' : 'json';
+            const mimeType = format === 'ndjson' ? 'application/x-ndjson' : 'application/json';
+            const stamp = bundle.meta.generatedAt.replace(/[:.]/g, '-');
+            const filename = `pocketgnu-diagnostics-${stamp}.${extension}`;
+            this.downloadFile(filename, this.serializeBundle(bundle, format), mimeType);
+        } catch (error) {
+            this.errorHandler.logCustomError('Failed to export diagnostic bundle', {
+                format,
+                error: error.message
+            }, { severity: 'error', category: 'ui' });
+            window.AdvancedUX?.showToast('Failed to export diagnostic bundle', { type: 'error' });
+        }
+    }
+
+    downloadFile(filename, contents, mimeType) {
+        const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Load a bundle file into the read-only viewer
+    async importBundle(file) {
+        try {
+            this.importedBundle = this.parseBundle(await file.text());
+            this.filters = { type: 'all', severity: 'all' };
+            this.renderImportBanner();
+            this.refresh();
+            window.AdvancedUX?.showToast(`Imported ${file.name}`, { type: 'success' });
+        } catch (error) {
+            this.errorHandler.logCustomError('Failed to import diagnostic bundle', {
+                file: file.name,
+                error: error.message
+            }, { severity: 'warn', category: 'ui' });
+            const message = `Could not import bundle: ${this.escapeHtml(error.message)}`;
+            window.AdvancedUX?.showToast(message, { type: 'error' });
+        }
+    }
+
+    // Source maps stay in memory only; files without a "file" field are keyed by name minus ".map"
+    async loadSourceMaps(files) {
+        if (!this.stackTrace) {
+            return;
+        }
+        const loaded = [];
+        for (const file of files) {
+            try {
+                const map = JSON.parse(await file.text());
+                loaded.push(this.stackTrace.addSourceMap(map, map.file || file.name.replace(/\.map$/, '')));
+            } catch (error) {
+                this.errorHandler.logCustomError('Failed to load source map', {
+                    file: file.name,
+                    error: error.message
+                }, { severity: 'warn', category: 'ui' });
+                window.AdvancedUX?.showToast(`Could not load ${this.escapeHtml(file.name)}`, { type: 'error' });
+            }
+        }
+
+        if (loaded.length > 0) {
+            this.renderErrors(true);
+            const message = `Loaded source maps for ${this.escapeHtml(loaded.join(', '))}`;
+            window.AdvancedUX?.showToast(message, { type: 'success' });
+        }
+    }
+
+    showLive() {
+        this.importedBundle = null;
+        this.filters = { type: 'all', severity: 'all' };
+        this.renderImportBanner();
+        this.refresh();
+    }
+
+    // ===== ACTIONS =====
+
+    async copyReport() {
+        const report = this.serializeBundle(await this.buildBundle());
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(report);
+            } else {
+                this.copyWithTextarea(report);
+            }
+            window.AdvancedUX?.showToast('Diagnostics report copied to clipboard', { type: 'success' });
+        } catch (error) {
+            this.errorHandler.logCustomError('Failed to copy diagnostics report', {
+                error: error.message
+            }, { severity: 'warn', category: 'ui' });
+            window.AdvancedUX?.showToast('Failed to copy diagnostics report', { type: 'error' });
+        }
+    }
+
+    // Fallback for browsers without the async clipboard API
+    copyWithTextarea(text) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        if (!copied) {
+            throw new Error('Copy command was rejected');
+        }
+    }
+
+    clearErrors() {
+        if (this.importedBundle) {
+            return; // Imported bundles are read-only
+        }
+        this.errorHandler.clearErrors();
+        this.renderErrors(true);
+        window.AdvancedUX?.showToast('Error log cleared', { type: 'info' });
+    }
+
+    // ===== HELPERS =====
+
+    formatMetric(value, unit) {
+        if (typeof value !== 'number' || value === 0) {
+            return '—';
+        }
+        return unit === 'ms' ? `${value.toFixed(0)} ms` : value.toFixed(4);
+    }
+
+    shortenUrl(url) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            return parsed.origin === window.location.origin ? parsed.pathname : `${parsed.host}${parsed.pathname}`;
+        } catch {
+            return url;
+        }
+    }
+
+    // JSON.stringify that survives circular references (shared, non-circular references are kept)
+    stringify(value, indent = 2) {
+        const ancestors = [];
+        return JSON.stringify(value, function(key, val) {
+            if (typeof val !== 'object' || val === null) {
+                return val;
+            }
+            while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+                ancestors.pop();
+            }
+            if (ancestors.includes(val)) {
+                return '[Circular]';
+            }
+            ancestors.push(val);
+            return val;
+        }, indent);
+    }
+
+    escapeHtml(value) {
+        return String(value === null || typeof value === 'undefined' ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Create global diagnostics instance
+window.PocketGNUDiagnostics = new DiagnosticsPanel();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagnosticsPanel;
+}
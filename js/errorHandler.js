@@ -1,8 +1,37 @@
 // Centralized Error Management System for PocketGNU
+
+// Severity levels, ordered from least to most severe
+const ERROR_SEVERITIES = ['debug', 'info', 'warn', 'error', 'fatal'];
+
+// Fixed category taxonomy used to classify every logged entry
+const ERROR_CATEGORIES = ['network', 'dom', 'storage', 'ui', 'async', 'service-worker', 'performance'];
+
+// Kinds of breadcrumbs recorded in the trail leading up to an error
+const BREADCRUMB_TYPES = ['interaction', 'navigation', 'toast', 'fetch', 'console', 'network'];
+
 class ErrorHandler {
     constructor() {
         this.errors = [];
         this.maxErrors = 50; // Keep last 50 errors
+        this.severities = ERROR_SEVERITIES;
+        this.categories = ERROR_CATEGORIES;
+        this.defaultSeverity = 'error';
+        this.defaultCategory = 'ui';
+        this.persistSeverity = 'warn'; // Only warn and above are written to the persistent store
+        this.transmitSeverity = 'warn'; // Only warn and above are sent to the monitoring service
+        this.transport = null;
+        this.store = null; // See errorStore.js
+        this.scrubber = window.PocketGNUErrorScrubber || null; // See errorScrubber.js
+        this.stackTrace = window.PocketGNUStackTrace || null; // See stackTrace.js
+        this.events = window.PocketGNUEvents || null; // See eventBus.js
+        this.fingerprintFrames = 3; // Number of top stack frames included in a fingerprint
+        this.breadcrumbs = [];
+        this.breadcrumbTypes = BREADCRUMB_TYPES;
+        this.maxBreadcrumbs = 50; // Size of the rolling breadcrumb buffer
+        this.breadcrumbsPerError = 15; // Breadcrumbs snapshotted onto each new error record
+        this.isWritingConsole = false;
+        this.alertRules = [];
+        this.degraded = new Map(); // Subsystem name -> { since, reason } for tripped alert rules
         this.init();
     }
 
@@ -11,6 +40,8 @@ class ErrorHandler {
         window.addEventListener('error', (event) => {
             this.logError({
                 type: 'JavaScript Error',
+                severity: 'error',
+                category: 'ui',
                 message: event.message,
                 filename: event.filename,
                 lineno: event.lineno,
@@ -26,6 +57,8 @@ class ErrorHandler {
         window.addEventListener('unhandledrejection', (event) => {
             this.logError({
                 type: 'Unhandled Promise Rejection',
+                severity: 'error',
+                category: 'async',
                 message: event.reason ? event.reason.toString() : 'Unknown promise rejection',
                 stack: event.reason && event.reason.stack ? event.reason.stack : null,
                 timestamp: new Date().toISOString(),
@@ -34,10 +67,142 @@ class ErrorHandler {
             });
         });
 
+        this.instrumentNavigation();
+        this.instrumentConsole();
+        this.instrumentFetch();
+
+        // Default error budgets for shared subsystems; components add their own via registerComponent
+        this.addAlertRule({ name: 'Network', category: 'network', threshold: 5, windowMs: 60000 });
+        this.addAlertRule({ name: 'Storage', category: 'storage', threshold: 3, windowMs: 60000 });
+        this.addAlertRule({ name: 'Offline support', category: 'service-worker', threshold: 3, windowMs: 60000 });
+
         console.log('✅ Error Handler initialized successfully');
     }
 
-    logError(errorInfo) {
+    // ===== BREADCRUMBS =====
+
+    // Record a breadcrumb, e.g. addBreadcrumb('toast', 'Settings saved', { type: 'success' })
+    addBreadcrumb(type, message, data = {}) {
+        if (!this.breadcrumbTypes.includes(type)) {
+            console.warn(`Unknown breadcrumb type "${type}"`);
+            return;
+        }
+
+        this.breadcrumbs.push({
+            type,
+            message: this.scrub(message),
+            data: this.scrub(data),
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
+        }
+    }
+
+    getBreadcrumbs() {
+        return [...this.breadcrumbs];
+    }
+
+    clearBreadcrumbs() {
+        this.breadcrumbs = [];
+    }
+
+    // Short human-readable description of an element, e.g. button#save-settings.btn.btn-primary
+    describeElement(element) {
+        if (!element || !element.tagName) {
+            return 'unknown';
+        }
+        let description = element.tagName.toLowerCase();
+        if (element.id) {
+            description += `#${element.id}`;
+        }
+        if (typeof element.className === 'string' && element.className.trim()) {
+            description += `.${element.className.trim().split(/\s+/).join('.')}`;
+        }
+        return description;
+    }
+
+    instrumentNavigation() {
+        window.addEventListener('hashchange', (event) => {
+            this.addBreadcrumb('navigation', 'Hash changed', {
+                from: this.stripQuery(event.oldURL),
+                to: this.stripQuery(event.newURL)
+            });
+        });
+        window.addEventListener('popstate', () => {
+            this.addBreadcrumb('navigation', 'History navigation', { to: this.stripQuery(window.location.href) });
+        });
+    }
+
+    // Capture console warnings as breadcrumbs; our own console output is skipped
+    instrumentConsole() {
+        const originalWarn = console.warn;
+        console.warn = (...args) => {
+            if (!this.isWritingConsole) {
+                this.addBreadcrumb('console', args.map(arg => String(arg)).join(' ').slice(0, 200));
+            }
+            originalWarn.apply(console, args);
+        };
+    }
+
+    // Wrap window.fetch so every request leaves a breadcrumb with its status and duration
+    instrumentFetch() {
+        if (typeof window.fetch !== 'function') {
+            return;
+        }
+
+        const originalFetch = window.fetch;
+        window.fetch = (input, init = {}) => {
+            const url = this.stripQuery(typeof input === 'string' ? input : input?.url);
+            const method = (init.method || input?.method || 'GET').toUpperCase();
+            const startTime = performance.now();
+
+            return originalFetch(input, init).then(response => {
+                this.addBreadcrumb('fetch', `${method} ${url}`, {
+                    status: response.status,
+                    duration: Math.round(performance.now() - startTime)
+                });
+                return response;
+            }, error => {
+                this.addBreadcrumb('fetch', `${method} ${url} failed`, {
+                    error: error.message,
+                    duration: Math.round(performance.now() - startTime)
+                });
+                throw error;
+            });
+        };
+    }
+
+    // Query strings routinely carry tokens, so breadcrumbs only keep the path
+    stripQuery(url) {
+        return String(url || '').split(/[?#]/)[0];
+    }
+
+    logError(rawErrorInfo) {
+        // Scrub first: everything below (memory, localStorage, transport) only ever sees the sanitized copy
+        const errorInfo = this.scrub(rawErrorInfo);
+        errorInfo.severity = this.normalizeSeverity(errorInfo.severity);
+        errorInfo.category = this.normalizeCategory(errorInfo.category);
+        errorInfo.frames = this.parseStack(errorInfo);
+        errorInfo.fingerprint = this.computeFingerprint(errorInfo);
+
+        // Every occurrence counts towards error budgets, including ones collapsed as duplicates below
+        this.evaluateAlertRules(errorInfo);
+
+        // Collapse repeats of a known error into its existing record
+        const existing = this.errors.find(error => error.fingerprint === errorInfo.fingerprint);
+        if (existing) {
+            this.recordOccurrence(existing, errorInfo);
+            this.emitLogged(existing);
+            return;
+        }
+
+        errorInfo.count = 1;
+        errorInfo.firstSeen = errorInfo.timestamp;
+        errorInfo.lastSeen = errorInfo.timestamp;
+        errorInfo.breadcrumbs = this.breadcrumbs.slice(-this.breadcrumbsPerError);
+
         // Add to internal error log
         this.errors.push(errorInfo);
         
@@ -46,48 +211,274 @@ class ErrorHandler {
             this.errors.shift();
         }
 
-        // Log to console with formatting
+        this.logToConsole(errorInfo);
+
+        // Persist across reloads, skipping low-severity noise
+        if (this.isAtLeast(errorInfo.severity, this.persistSeverity)) {
+            this.persistError(errorInfo);
+        }
+
+        this.sendToMonitoringService(errorInfo);
+        this.emitLogged(errorInfo);
+    }
+
+    // Announce every occurrence, so the diagnostics panel and other listeners need no polling
+    emitLogged(record) {
+        this.events?.emit('error:logged', {
+            message: String(record.message ?? ''),
+            severity: record.severity,
+            category: record.category,
+            fingerprint: record.fingerprint,
+            count: record.count
+        });
+    }
+
+    // ===== ERROR-RATE ALERTING =====
+
+    // Trip when `threshold` matching errors occur within `windowMs`. A rule matches on category and/or component
+    // (errorInfo.context.component); onTrip defaults to a degradation toast.
+    addAlertRule(rule) {
+        const alertRule = {
+            minSeverity: 'error',
+            cooldownMs: rule.windowMs,
+            message: `${rule.name} is having problems. Some features may not work right now.`,
+            ...rule,
+            hits: [],
+            lastTripped: null
+        };
+        this.alertRules.push(alertRule);
+        return alertRule;
+    }
+
+    // Components that keep throwing are switched off: disable() should stop their timers and listeners
+    registerComponent(name, options = {}) {
+        return this.addAlertRule({
+            name,
+            component: name,
+            threshold: options.threshold || 5,
+            windowMs: options.windowMs || 30000,
+            cooldownMs: Infinity, // A disabled component stays disabled until its rule is reset
+            message: `${name} was turned off after repeated errors.`,
+            onTrip: () => {
+                if (typeof options.disable === 'function') {
+                    options.disable();
+                }
+            }
+        });
+    }
+
+    evaluateAlertRules(errorInfo) {
+        const now = Date.now();
+        const component = errorInfo.context?.component || errorInfo.component;
+
+        this.alertRules.forEach(rule => {
+            if (!this.isAtLeast(errorInfo.severity, rule.minSeverity)) {
+                return;
+            }
+            if ((rule.category && rule.category !== errorInfo.category) ||
+                (rule.component && rule.component !== component)) {
+                return;
+            }
+
+            rule.hits = rule.hits.filter(time => now - time < rule.windowMs);
+            rule.hits.push(now);
+
+            const coolingDown = rule.lastTripped !== null && now - rule.lastTripped < rule.cooldownMs;
+            if (rule.hits.length >= rule.threshold && !coolingDown) {
+                rule.lastTripped = now;
+                rule.hits = [];
+                this.tripAlertRule(rule, errorInfo);
+            }
+        });
+    }
+
+    tripAlertRule(rule, errorInfo) {
+        this.degraded.set(rule.name, {
+            since: new Date().toISOString(),
+            reason: errorInfo.message
+        });
+
+        try {
+            if (rule.onTrip) {
+                rule.onTrip(rule, errorInfo);
+            }
+        } catch (e) {
+            console.warn(`Alert handler for ${rule.name} failed:`, e);
+        }
+
+        // AdvancedUX turns this into the degradation toast
+        this.events?.emit('error:degraded', {
+            subsystem: rule.name,
+            message: rule.message,
+            reason: String(errorInfo.message ?? '')
+        });
+
+        // Logged below the default alert severity so the notice cannot trip a rule itself
+        this.logCustomError(`Subsystem degraded: ${rule.name}`, {
+            component: rule.component,
+            threshold: rule.threshold,
+            windowMs: rule.windowMs,
+            lastError: errorInfo.message
+        }, { severity: 'warn', category: rule.category || errorInfo.category });
+    }
+
+    // Clear a rule's hit window and degraded flag, e.g. after a crashed component is restarted
+    resetAlertRule(rule) {
+        if (!rule) {
+            return;
+        }
+        rule.hits = [];
+        rule.lastTripped = null;
+        this.degraded.delete(rule.name);
+    }
+
+    getDegradedSubsystems() {
+        return Object.fromEntries(this.degraded);
+    }
+
+    // Run a value through the scrubbing pipeline; a no-op if errorScrubber.js is not loaded
+    scrub(value) {
+        if (!this.scrubber) {
+            return value;
+        }
+        try {
+            return this.scrubber.scrub(value);
+        } catch (e) {
+            console.warn('Failed to scrub error data:', e);
+            return value;
+        }
+    }
+
+    // Bump the occurrence count of a duplicate and move it to the end of the log so it stays in the window
+    recordOccurrence(existing, errorInfo) {
+        existing.count += 1;
+        existing.lastSeen = errorInfo.timestamp;
+
+        this.errors.splice(this.errors.indexOf(existing), 1);
+        this.errors.push(existing);
+
+        if (this.isAtLeast(existing.severity, 'warn')) {
+            this.isWritingConsole = true;
+            console.warn(`🔁 ${existing.type}: ${existing.message} (seen ${existing.count} times)`);
+            this.isWritingConsole = false;
+        }
+
+        if (this.isAtLeast(existing.severity, this.persistSeverity)) {
+            this.persistError(existing);
+        }
+    }
+
+    // Structured frames for whichever stack the record carries; empty if stackTrace.js is not loaded
+    parseStack(errorInfo) {
+        const stack = errorInfo.stack || errorInfo.context?.stack || errorInfo.retryContext?.stack;
+        if (!stack || !this.stackTrace) {
+            return [];
+        }
+        return this.stackTrace.parse(stack);
+    }
+
+    // Fingerprint = hash of type, normalized message and the top stack frames
+    computeFingerprint(errorInfo) {
+        const topFrames = (errorInfo.frames || [])
+            .slice(0, this.fingerprintFrames)
+            .map(frame => `${frame.function || ''}@${this.stripQuery(frame.file)}:${frame.line}:${frame.column}`);
+
+        const parts = [errorInfo.type, this.normalizeMessage(errorInfo.message), ...topFrames];
+        return this.hashString(parts.join('|'));
+    }
+
+    // Strip volatile details (URLs, ids, counters) so repeats of the same failure share a message
+    normalizeMessage(message) {
+        return String(message || '')
+            .replace(/https?:\/\/\S+/g, '<url>')
+            .replace(/\b[0-9a-f]{8,}\b/gi, '<hex>')
+            .replace(/\d+(\.\d+)?/g, '<n>')
+            .trim();
+    }
+
+    // 32-bit FNV-1a hash rendered as hex
+    hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Log to console with formatting appropriate to the severity
+    logToConsole(errorInfo) {
+        const label = `[${errorInfo.severity}/${errorInfo.category}] ${errorInfo.type}: ${errorInfo.message}`;
+
+        if (!this.isAtLeast(errorInfo.severity, 'warn')) {
+            console.log(`ℹ️ ${label}`, errorInfo.context || '');
+            return;
+        }
+
+        const output = errorInfo.severity === 'warn' ? console.warn : console.error;
+        this.isWritingConsole = true;
         console.group(`🚨 ${errorInfo.type}`);
-        console.error('Message:', errorInfo.message);
-        console.error('Timestamp:', errorInfo.timestamp);
+        output('Message:', errorInfo.message);
+        output('Severity:', errorInfo.severity);
+        output('Category:', errorInfo.category);
+        output('Timestamp:', errorInfo.timestamp);
         if (errorInfo.filename) {
-            console.error('File:', `${errorInfo.filename}:${errorInfo.lineno}:${errorInfo.colno}`);
+            output('File:', `${errorInfo.filename}:${errorInfo.lineno}:${errorInfo.colno}`);
         }
         if (errorInfo.stack) {
-            console.error('Stack:', errorInfo.stack);
+            output('Stack:', errorInfo.stack);
         }
         if (errorInfo.retryContext) {
-            console.error('Retry Context:', errorInfo.retryContext);
+            output('Retry Context:', errorInfo.retryContext);
+        }
+        if (errorInfo.breadcrumbs && errorInfo.breadcrumbs.length > 0) {
+            output('Breadcrumbs:', errorInfo.breadcrumbs);
         }
         console.groupEnd();
+        this.isWritingConsole = false;
+    }
 
-        // Store in localStorage for persistence
-        this.saveToLocalStorage(errorInfo);
+    normalizeSeverity(severity) {
+        if (!severity) {
+            return this.defaultSeverity;
+        }
+        if (!this.severities.includes(severity)) {
+            console.warn(`Unknown error severity "${severity}", using "${this.defaultSeverity}"`);
+            return this.defaultSeverity;
+        }
+        return severity;
+    }
 
-        // In production, you would send this to a monitoring service
-        // this.sendToMonitoringService(errorInfo);
+    normalizeCategory(category) {
+        if (!category) {
+            return this.defaultCategory;
+        }
+        if (!this.categories.includes(category)) {
+            console.warn(`Unknown error category "${category}", using "${this.defaultCategory}"`);
+            return this.defaultCategory;
+        }
+        return category;
     }
 
-    saveToLocalStorage(errorInfo) {
-        try {
-            const existingErrors = JSON.parse(localStorage.getItem('pocketgnu_errors') || '[]');
-            existingErrors.push(errorInfo);
-            
-            // Keep only last 20 errors in localStorage
-            if (existingErrors.length > 20) {
-                existingErrors.splice(0, existingErrors.length - 20);
-            }
-            
-            localStorage.setItem('pocketgnu_errors', JSON.stringify(existingErrors));
-        } catch (e) {
-            console.warn('Failed to save error to localStorage:', e);
+    // Compare a severity against a threshold, e.g. isAtLeast('error', 'warn') === true
+    isAtLeast(severity, threshold) {
+        return this.severities.indexOf(severity) >= this.severities.indexOf(threshold);
+    }
+
+    // Errors logged before errorStore.js loads are handed over by setStore
+    persistError(errorInfo) {
+        if (this.store) {
+            this.store.save(errorInfo);
         }
     }
 
     // Method to manually log custom errors
-    logCustomError(message, context = {}) {
+    // options: { severity: 'debug'|'info'|'warn'|'error'|'fatal', category: one of this.categories }
+    logCustomError(message, context = {}, options = {}) {
         this.logError({
             type: 'Custom Error',
+            severity: options.severity,
+            category: options.category,
             message: message,
             context: context,
             timestamp: new Date().toISOString(),
@@ -100,6 +491,8 @@ class ErrorHandler {
     logRetryAttempt(retryInfo) {
         const retryLog = {
             type: 'Retry Attempt',
+            severity: 'warn',
+            category: 'async',
             message: `Retry attempt ${retryInfo.attempt} for ${retryInfo.context}`,
             retryContext: retryInfo,
             timestamp: new Date().toISOString(),
@@ -109,43 +502,88 @@ class ErrorHandler {
         this.logError(retryLog);
     }
 
-    // Get error statistics
-    getErrorStats() {
+    // Get error statistics; counts include repeat occurrences, topFingerprints lists the noisiest errors
+    getErrorStats(topN = 5) {
         const stats = {
             total: this.errors.length,
+            occurrences: 0,
             byType: {},
-            recent: this.errors.slice(-5)
+            bySeverity: {},
+            byCategory: {},
+            recent: this.errors.slice(-5),
+            topFingerprints: [],
+            degraded: this.getDegradedSubsystems()
         };
 
+        this.severities.forEach(severity => {
+            stats.bySeverity[severity] = 0;
+        });
+        this.categories.forEach(category => {
+            stats.byCategory[category] = 0;
+        });
+
         this.errors.forEach(error => {
-            stats.byType[error.type] = (stats.byType[error.type] || 0) + 1;
+            const count = error.count || 1;
+            stats.occurrences += count;
+            stats.byType[error.type] = (stats.byType[error.type] || 0) + count;
+            stats.bySeverity[error.severity] += count;
+            stats.byCategory[error.category] += count;
         });
 
+        stats.topFingerprints = [...this.errors]
+            .sort((a, b) => (b.count || 1) - (a.count || 1))
+            .slice(0, topN)
+            .map(error => ({
+                fingerprint: error.fingerprint,
+                type: error.type,
+                message: error.message,
+                count: error.count || 1,
+                firstSeen: error.firstSeen,
+                lastSeen: error.lastSeen
+            }));
+
         return stats;
     }
 
     // Clear error log
     clearErrors() {
         this.errors = [];
-        localStorage.removeItem('pocketgnu_errors');
+        if (this.store) {
+            this.store.clear();
+        }
         console.log('✅ Error log cleared');
     }
 
-    // Method to send errors to monitoring service (placeholder)
+    // Attach a persistent store (see errorStore.js) and persist errors logged before it loaded
+    setStore(store) {
+        this.store = store;
+        if (store) {
+            this.errors
+                .filter(error => this.isAtLeast(error.severity, this.persistSeverity))
+                .forEach(error => store.save(error));
+        }
+    }
+
+    // Attach a transport (see errorTransport.js) and hand it any errors logged before it loaded
+    setTransport(transport) {
+        this.transport = transport;
+        if (transport) {
+            this.errors
+                .filter(error => this.isAtLeast(error.severity, this.transmitSeverity))
+                .forEach(error => transport.enqueue(error));
+        }
+    }
+
+    // Queue an error for the monitoring service; batching and delivery are up to the transport
     sendToMonitoringService(errorInfo) {
-        // In production, implement actual error reporting
-        // Example: send to Sentry, LogRocket, or custom endpoint
-        /*
-        fetch('/api/errors', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(errorInfo)
-        }).catch(err => {
-            console.warn('Failed to send error to monitoring service:', err);
-        });
-        */
+        if (!this.transport || !this.isAtLeast(errorInfo.severity, this.transmitSeverity)) {
+            return;
+        }
+        try {
+            this.transport.enqueue(errorInfo);
+        } catch (e) {
+            console.warn('Failed to queue error for monitoring service:', e);
+        }
     }
 }
 
@@ -0,0 +1,176 @@
+// PII and Secret Scrubbing for PocketGNU - sanitizes error records before they are stored or transmitted
+class ErrorScrubber {
+    constructor() {
+        this.redactedText = '[REDACTED]';
+        this.maxDepth = 6;
+        this.maxStringLength = 5000;
+
+        // Any property whose name matches one of these has its value replaced wholesale
+        this.keyPatterns = [
+            /api[-_]?key/i,
+            /token/i,
+            /password/i,
+            /passwd/i,
+            /secret/i,
+            /authorization/i,
+            /cookie/i
+        ];
+
+        // Applied to every string value, in order
+        this.valuePatterns = [
+            {
+                name: 'bearer',
+                pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+                replacement: 'Bearer [REDACTED]'
+            },
+            {
+                name: 'query-secret',
+                pattern: /([?&#](?:[\w-]*(?:token|key|secret|password|auth|sig|signature|session)[\w-]*)=)[^&#\s"']*/gi,
+                replacement: '$1[REDACTED]'
+            },
+            {
+                name: 'api-key',
+                pattern: /\bsk-[A-Za-z0-9\-_]{16,}/g,
+                replacement: '[REDACTED]'
+            },
+            {
+                name: 'email',
+                pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+                replacement: '[email]'
+            }
+        ];
+
+        // Extra steps run on the fully sanitized record: processor(record) => record
+        this.processors = [];
+    }
+
+    // ===== CONFIGURATION =====
+
+    addKeyPattern(pattern) {
+        this.keyPatterns.push(pattern);
+    }
+
+    addValuePattern(name, pattern, replacement = this.redactedText) {
+        this.valuePatterns.push({ name, pattern, replacement });
+    }
+
+    removeValuePattern(name) {
+        this.valuePatterns = this.valuePatterns.filter(entry => entry.name !== name);
+    }
+
+    addProcessor(processor) {
+        if (typeof processor !== 'function') {
+            console.warn('Scrubber processor must be a function');
+            return;
+        }
+        this.processors.push(processor);
+    }
+
+    // ===== PIPELINE =====
+
+    // Returns a sanitized, JSON-safe copy of value; the original is never mutated
+    scrub(value) {
+        let result = this.sanitize(value, '', [], 0);
+        this.processors.forEach(processor => {
+            try {
+                result = processor(result);
+            } catch (error) {
+                console.warn('Scrubber processor failed:', error);
+            }
+        });
+        return result;
+    }
+
+    sanitize(value, key, ancestors, depth) {
+        if (key && this.isSensitiveKey(key) && value !== null && typeof value !== 'undefined' && value !== '') {
+            return this.redactedText;
+        }
+
+        if (typeof value === 'string') {
+            return this.scrubString(value);
+        }
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' ? `[Function ${value.name || 'anonymous'}]` : value;
+        }
+
+        if (ancestors.includes(value)) {
+            return '[Circular]';
+        }
+        if (depth >= this.maxDepth) {
+            return '[Truncated]';
+        }
+
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: this.scrubString(value.message || ''),
+                stack: value.stack ? this.scrubString(value.stack) : null
+            };
+        }
+        if (this.isDomNode(value)) {
+            return this.describeNode(value);
+        }
+        if (value === window) {
+            return '[Window]';
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        const nextAncestors = [...ancestors, value];
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.sanitize(item, String(index), nextAncestors, depth + 1));
+        }
+        if (value instanceof Map) {
+            return this.sanitize(Object.fromEntries(value), key, ancestors, depth);
+        }
+        if (value instanceof Set) {
+            return this.sanitize([...value], key, ancestors, depth);
+        }
+
+        const result = {};
+        Object.keys(value).forEach(property => {
+            result[property] = this.sanitize(value[property], property, nextAncestors, depth + 1);
+        });
+        return result;
+    }
+
+    scrubString(text) {
+        let result = text.length > this.maxStringLength ? `${text.slice(0, this.maxStringLength)}…` : text;
+        this.valuePatterns.forEach(({ pattern, replacement }) => {
+            result = result.replace(pattern, replacement);
+        });
+        return result;
+    }
+
+    isSensitiveKey(key) {
+        return this.keyPatterns.some(pattern => pattern.test(key));
+    }
+
+    isDomNode(value) {
+        return typeof value.nodeType === 'number' && typeof value.nodeName === 'string';
+    }
+
+    // DOM nodes hold references to the whole document, so keep only a short description
+    describeNode(node) {
+        if (node.nodeType !== 1) {
+            return `[${node.nodeName}]`;
+        }
+        let description = node.nodeName.toLowerCase();
+        if (node.id) {
+            description += `#${node.id}`;
+        }
+        if (typeof node.className === 'string' && node.className.trim()) {
+            description += `.${node.className.trim().split(/\s+/).join('.')}`;
+        }
+        return `[Element ${description}]`;
+    }
+}
+
+// Create global scrubber instance
+window.PocketGNUErrorScrubber = new ErrorScrubber();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErrorScrubber;
+}
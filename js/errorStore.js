@@ -0,0 +1,380 @@
+// Persistent Error Store for PocketGNU - IndexedDB with retention and queries, localStorage as a fallback
+//
+// Records are keyed by fingerprint, so a repeat of a stored error is merged into it: counts add up across sessions,
+// firstSeen keeps the earliest and lastSeen the latest. Writes are buffered and flushed in one transaction rather than
+// on every log call.
+class ErrorStore {
+    constructor(options = {}) {
+        this.dbName = 'pocketgnu';
+        this.dbVersion = 1;
+        this.storeName = 'errors';
+        this.storage = window.PocketGNUStorage;
+        this.fallbackKey = 'errors.fallback'; // Storage key used when IndexedDB is unavailable
+
+        this.retention = {
+            maxCount: 500,
+            maxAgeMs: 7 * 24 * 60 * 60 * 1000, // 7 days since the error was last seen
+            maxBytes: 2 * 1024 * 1024
+        };
+        this.fallbackMaxCount = 20; // localStorage is small and synchronous, so keep the fallback short
+        this.flushDelay = 1000;
+
+        this.backend = null; // 'indexeddb' | 'localstorage' once ready
+        this.db = null;
+        this.pending = new Map(); // fingerprint -> record waiting to be written
+        this.writtenCounts = new Map(); // fingerprint -> this session's count as of the last flush
+        this.flushTimeout = null;
+
+        this.configure(options);
+        this.ready = this.open();
+        this.init();
+    }
+
+    init() {
+        // Hidden pages may be discarded, so write out anything still buffered
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    // e.g. configure({ retention: { maxCount: 200, maxAgeMs: 86400000 } })
+    configure(options = {}) {
+        if (options.retention) {
+            this.retention = { ...this.retention, ...options.retention };
+        }
+        if ('flushDelay' in options) {
+            this.flushDelay = options.flushDelay;
+        }
+    }
+
+    // ===== BACKENDS =====
+
+    supportsIndexedDB() {
+        const utils = window.PocketGNUUtils;
+        return utils ? utils.supportsFeature('indexedDB') : 'indexedDB' in window;
+    }
+
+    open() {
+        if (!this.supportsIndexedDB()) {
+            this.backend = 'localstorage';
+            return Promise.resolve(this.backend);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    // The fingerprint is the primary key, which doubles as the fingerprint index
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'fingerprint' });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('lastSeen', 'lastSeen');
+                    store.createIndex('type', 'type');
+                    store.createIndex('severity', 'severity');
+                    store.createIndex('category', 'category');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        }).then(db => {
+            this.db = db;
+            this.backend = 'indexeddb';
+            return this.migrateLegacyErrors();
+        }).then(() => this.backend).catch(error => {
+            // Private browsing modes can expose indexedDB but refuse to open it
+            console.warn('IndexedDB unavailable, persisting errors to localStorage:', error);
+            this.db = null;
+            this.backend = 'localstorage';
+            return this.backend;
+        });
+    }
+
+    // Move errors persisted by the localStorage path into IndexedDB once it is available
+    migrateLegacyErrors() {
+        const legacy = this.readLocalStorage();
+        if (legacy.length === 0) {
+            return Promise.resolve();
+        }
+        return this.writeIndexedDB(legacy).then(() => this.storage.remove(this.fallbackKey));
+    }
+
+    // ===== WRITES =====
+
+    // Buffer a record; repeats of the same fingerprint before the next flush collapse into one write
+    save(errorInfo) {
+        if (!errorInfo || !errorInfo.fingerprint) {
+            return;
+        }
+        this.pending.set(errorInfo.fingerprint, { ...errorInfo });
+
+        if (!this.flushTimeout) {
+            this.flushTimeout = setTimeout(() => {
+                this.flushTimeout = null;
+                this.flush();
+            }, this.flushDelay);
+        }
+    }
+
+    flush() {
+        if (this.flushTimeout) {
+            clearTimeout(this.flushTimeout);
+            this.flushTimeout = null;
+        }
+        if (this.pending.size === 0) {
+            return Promise.resolve();
+        }
+
+        const records = [...this.pending.values()].map(record => this.toIncrement(record));
+        this.pending.clear();
+
+        return this.ready
+            .then(() => (this.backend === 'indexeddb' ? this.writeIndexedDB(records) : this.writeLocalStorage(records)))
+            .then(() => this.enforceRetention())
+            .catch(error => console.warn('Failed to persist errors:', error));
+    }
+
+    // The handler's counts are per session and cumulative, so only what happened since the last flush is added to
+    // the stored record. A count below the one already written means the session's record was dropped and restarted.
+    toIncrement(record) {
+        const count = record.count || 1;
+        const written = this.writtenCounts.get(record.fingerprint) || 0;
+        this.writtenCounts.set(record.fingerprint, count);
+        return { ...record, count: count > written ? count - written : count };
+    }
+
+    // Read and write in the same transaction, so a record stored by an earlier session (or another tab) is merged
+    writeIndexedDB(records) {
+        return this.transaction('readwrite', store => {
+            records.forEach(record => {
+                const lookup = store.get(record.fingerprint);
+                lookup.onsuccess = () => store.put(this.mergeRecord(lookup.result, record));
+            });
+        });
+    }
+
+    writeLocalStorage(records) {
+        const stored = this.readLocalStorage();
+        records.forEach(record => {
+            const index = stored.findIndex(error => error.fingerprint === record.fingerprint);
+            const existing = index !== -1 ? stored.splice(index, 1)[0] : null;
+            stored.push(this.mergeRecord(existing, record)); // Most recently seen last
+        });
+        this.writeLocalStorageRecords(stored);
+    }
+
+    // record.count is an increment (see toIncrement); timestamps are ISO strings, so they compare as text
+    mergeRecord(stored, record) {
+        if (!stored) {
+            return record;
+        }
+        const earliest = (a, b) => (a && (!b || a < b) ? a : b);
+        const latest = (a, b) => (a && (!b || a > b) ? a : b);
+        return {
+            ...record,
+            count: (stored.count || 1) + (record.count || 1),
+            timestamp: earliest(stored.timestamp, record.timestamp),
+            firstSeen: earliest(stored.firstSeen, record.firstSeen),
+            lastSeen: latest(stored.lastSeen, record.lastSeen)
+        };
+    }
+
+    // ===== RETENTION =====
+
+    // Drop records not seen within maxAgeMs, then the least recently seen until count and size fit
+    enforceRetention() {
+        return this.getAll().then(records => {
+            const cutoff = new Date(Date.now() - this.retention.maxAgeMs).toISOString();
+            let maxCount = this.retention.maxCount;
+            if (this.backend !== 'indexeddb') {
+                maxCount = Math.min(maxCount, this.fallbackMaxCount);
+            }
+
+            const sorted = records.sort((a, b) => this.seenAt(a).localeCompare(this.seenAt(b)));
+            const expired = sorted.filter(record => this.seenAt(record) < cutoff);
+            const kept = sorted.filter(record => this.seenAt(record) >= cutoff);
+
+            let totalBytes = kept.reduce((sum, record) => sum + this.sizeOf(record), 0);
+            while (kept.length > 0 && (kept.length > maxCount || totalBytes > this.retention.maxBytes)) {
+                const evicted = kept.shift();
+                totalBytes -= this.sizeOf(evicted);
+                expired.push(evicted);
+            }
+
+            if (expired.length === 0) {
+                return 0;
+            }
+            if (this.backend === 'indexeddb') {
+                return this.transaction('readwrite', store => {
+                    expired.forEach(record => store.delete(record.fingerprint));
+                }).then(() => expired.length);
+            }
+            this.writeLocalStorageRecords(kept);
+            return expired.length;
+        });
+    }
+
+    seenAt(record) {
+        return record.lastSeen || record.timestamp || '';
+    }
+
+    // Approximate size in bytes (UTF-16 code units of the JSON form)
+    sizeOf(record) {
+        try {
+            return JSON.stringify(record).length * 2;
+        } catch {
+            return 0;
+        }
+    }
+
+    // ===== QUERIES =====
+
+    getAll() {
+        return this.ready.then(() => {
+            if (this.backend === 'indexeddb') {
+                return this.transaction('readonly', store => this.request(store.getAll()));
+            }
+            return this.readLocalStorage();
+        });
+    }
+
+    get(fingerprint) {
+        return this.ready.then(() => {
+            if (this.backend === 'indexeddb') {
+                return this.transaction('readonly', store => this.request(store.get(fingerprint)))
+                    .then(record => record || null);
+            }
+            return this.readLocalStorage().find(record => record.fingerprint === fingerprint) || null;
+        });
+    }
+
+    // filters: { from, to, type, severity, minSeverity, category, fingerprint, limit, order: 'desc'|'asc' }
+    // from/to accept Dates, ISO strings or epoch ms and match errors seen at any point within the range.
+    query(filters = {}) {
+        return this.flush()
+            .then(() => this.ready)
+            .then(() => (this.backend === 'indexeddb' ? this.queryIndexedDB(filters) : this.readLocalStorage()))
+            .then(records => {
+                const from = this.toIsoString(filters.from);
+                const to = this.toIsoString(filters.to);
+                const severities = window.PocketGNUErrorHandler?.severities || [];
+                const minSeverityIndex = filters.minSeverity ? severities.indexOf(filters.minSeverity) : -1;
+
+                const matches = records.filter(record =>
+                    (!from || this.seenAt(record) >= from) &&
+                    (!to || (record.timestamp || '') <= to) &&
+                    (!filters.type || record.type === filters.type) &&
+                    (!filters.severity || record.severity === filters.severity) &&
+                    (minSeverityIndex === -1 || severities.indexOf(record.severity) >= minSeverityIndex) &&
+                    (!filters.category || record.category === filters.category) &&
+                    (!filters.fingerprint || record.fingerprint === filters.fingerprint)
+                );
+
+                matches.sort((a, b) => this.seenAt(a).localeCompare(this.seenAt(b)));
+                if (filters.order !== 'asc') {
+                    matches.reverse();
+                }
+                return filters.limit ? matches.slice(0, filters.limit) : matches;
+            });
+    }
+
+    // Narrow the read with the most selective index available; query() applies the remaining filters
+    queryIndexedDB(filters) {
+        return this.transaction('readonly', store => {
+            if (filters.fingerprint) {
+                return this.request(store.get(filters.fingerprint)).then(record => (record ? [record] : []));
+            }
+
+            const indexed = ['type', 'severity', 'category'].find(field => filters[field]);
+            if (indexed) {
+                return this.request(store.index(indexed).getAll(filters[indexed]));
+            }
+
+            const from = this.toIsoString(filters.from);
+            if (from) {
+                return this.request(store.index('lastSeen').getAll(IDBKeyRange.lowerBound(from)));
+            }
+            return this.request(store.getAll());
+        });
+    }
+
+    count() {
+        return this.flush().then(() => this.getAll()).then(records => records.length);
+    }
+
+    clear() {
+        this.pending.clear();
+        this.writtenCounts.clear();
+        return this.ready.then(() => {
+            this.storage.remove(this.fallbackKey);
+            if (this.backend === 'indexeddb') {
+                return this.transaction('readwrite', store => {
+                    store.clear();
+                });
+            }
+            return null;
+        }).catch(error => console.warn('Failed to clear persisted errors:', error));
+    }
+
+    getStats() {
+        return this.flush().then(() => this.getAll()).then(records => ({
+            backend: this.backend,
+            count: records.length,
+            bytes: records.reduce((sum, record) => sum + this.sizeOf(record), 0),
+            oldest: records.length > 0 ? records.map(record => this.seenAt(record)).sort()[0] : null,
+            retention: { ...this.retention }
+        }));
+    }
+
+    // ===== HELPERS =====
+
+    // Run work(store) in a transaction; resolves with work's result once the transaction completes
+    transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            let result;
+            Promise.resolve(work(tx.objectStore(this.storeName))).then(value => {
+                result = value;
+            }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    toIsoString(value) {
+        if (value === null || typeof value === 'undefined' || value === '') {
+            return null;
+        }
+        const date = value instanceof Date ? value : new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    readLocalStorage() {
+        return this.storage.get(this.fallbackKey);
+    }
+
+    writeLocalStorageRecords(records) {
+        const maxCount = Math.min(this.retention.maxCount, this.fallbackMaxCount);
+        this.storage.set(this.fallbackKey, records.slice(-maxCount));
+    }
+}
+
+// Create global store instance and attach it to the error handler
+window.PocketGNUErrorStore = new ErrorStore();
+window.PocketGNUErrorHandler?.setStore(window.PocketGNUErrorStore);
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErrorStore;
+}
@@ -0,0 +1,274 @@
+// Error Transport for PocketGNU - batches logged errors and ships them to a monitoring endpoint
+class ErrorTransport {
+    constructor(options = {}) {
+        this.endpoint = null; // Disabled until an endpoint or custom transport is configured
+        this.transport = 'http';
+        this.headers = { 'Content-Type': 'application/json' };
+        this.batchSize = 10;
+        this.flushDelay = 5000; // Wait this long after an enqueue before flushing a partial batch
+        this.maxQueueSize = 100;
+        this.retryAttempts = 3;
+        this.retryDelay = 1000;
+        this.storage = window.PocketGNUStorage;
+        this.storageKey = 'errors.transportQueue';
+
+        this.queue = [];
+        this.flushTimeout = null;
+        this.isFlushing = false;
+
+        // Built-in transports: each takes (batch, config) and resolves once the batch is delivered
+        this.transports = new Map();
+        this.registerTransport('http', (batch, config) => this.sendWithFetch(batch, config));
+        this.registerTransport('beacon', (batch, config) => this.sendWithBeacon(batch, config));
+
+        this.configure(options);
+        this.loadQueue();
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.flush());
+
+        // The offline queue strips auth headers before persisting, so replayed batches get the transport's headers back
+        window.PocketGNUOfflineQueue?.registerHandler('error-transport', {
+            prepare: (entry) => ({ ...entry, headers: { ...entry.headers, ...this.headers } })
+        });
+
+        // Pages can be discarded at any time once hidden, so hand everything to the beacon API
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushWithBeacon();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flushWithBeacon());
+
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    // Update transport settings, e.g. configure({ endpoint: 'http://localhost:9000/errors' })
+    configure(options = {}) {
+        const keys = [
+            'endpoint', 'transport', 'batchSize', 'flushDelay', 'maxQueueSize', 'retryAttempts', 'retryDelay'
+        ];
+        keys.forEach(key => {
+            if (key in options) {
+                this[key] = options[key];
+            }
+        });
+        if (options.headers) {
+            this.headers = { ...this.headers, ...options.headers };
+        }
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    // Register a named transport: handler(batch, { endpoint, headers }) must return a promise
+    registerTransport(name, handler) {
+        if (typeof handler !== 'function') {
+            console.warn(`Error transport "${name}" must be a function`);
+            return;
+        }
+        this.transports.set(name, handler);
+    }
+
+    isEnabled() {
+        return Boolean(this.endpoint) || typeof this.transport === 'function';
+    }
+
+    getTransportHandler() {
+        if (typeof this.transport === 'function') {
+            return this.transport;
+        }
+        return this.transports.get(this.transport) || this.transports.get('http');
+    }
+
+    enqueue(errorInfo) {
+        this.queue.push(errorInfo);
+
+        // Drop the oldest entries rather than growing without bound while offline
+        if (this.queue.length > this.maxQueueSize) {
+            this.queue.splice(0, this.queue.length - this.maxQueueSize);
+        }
+        this.saveQueue();
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+    }
+
+    scheduleFlush() {
+        if (this.flushTimeout || !this.isEnabled()) {
+            return;
+        }
+        this.flushTimeout = setTimeout(() => {
+            this.flushTimeout = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    // Send queued errors batch by batch; failed batches stay queued for the next flush
+    async flush() {
+        if (this.isFlushing || !this.isEnabled()) {
+            return false;
+        }
+        if (!navigator.onLine) {
+            await this.handOffToOfflineQueue();
+            return false;
+        }
+
+        if (this.flushTimeout) {
+            clearTimeout(this.flushTimeout);
+            this.flushTimeout = null;
+        }
+
+        this.isFlushing = true;
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.queue.slice(0, this.batchSize);
+                await this.sendWithRetry(batch);
+                this.queue.splice(0, batch.length);
+                this.saveQueue();
+            }
+            return true;
+        } catch (error) {
+            console.warn('Failed to send errors to monitoring service:', error);
+            return false;
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    // Same semantics as PocketGNUUtils.safeAsyncRetry (fixed attempts, doubling delay), but reporting
+    // only to the console: logging through ErrorHandler here would feed the queue we are draining
+    async sendWithRetry(batch) {
+        const handler = this.getTransportHandler();
+        const config = { endpoint: this.endpoint, headers: this.headers };
+        let delay = this.retryDelay;
+        let lastError;
+
+        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+            try {
+                return await handler(batch, config);
+            } catch (error) {
+                lastError = error;
+                console.warn(`Error transport attempt ${attempt} failed: ${error.message}`);
+                if (attempt < this.retryAttempts) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    delay *= 2;
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    // While offline, move HTTP batches into the durable offline queue, which replays them in order once back online.
+    // A batch only leaves this queue once the offline queue has stored it; whatever fails to move stays here.
+    async handOffToOfflineQueue() {
+        const offlineQueue = window.PocketGNUOfflineQueue;
+        const canHandOff = offlineQueue && this.endpoint && this.transport === 'http';
+        if (!canHandOff || this.isFlushing || this.queue.length === 0) {
+            return;
+        }
+
+        this.isFlushing = true;
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.queue.slice(0, this.batchSize);
+                await offlineQueue.enqueue({
+                    url: this.endpoint,
+                    method: 'POST',
+                    headers: this.headers,
+                    body: this.serializeBatch(batch),
+                    context: 'Error transport'
+                }, { handler: 'error-transport' });
+                this.queue.splice(0, batch.length);
+                this.saveQueue();
+            }
+        } catch (error) {
+            console.warn('Failed to move errors to the offline queue:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    // Last-chance delivery while the page is being hidden or unloaded
+    flushWithBeacon() {
+        if (!this.endpoint || this.queue.length === 0 || !('sendBeacon' in navigator)) {
+            return;
+        }
+
+        while (this.queue.length > 0) {
+            const batch = this.queue.slice(0, this.batchSize);
+            const blob = new Blob([this.serializeBatch(batch)], { type: 'application/json' });
+            if (!navigator.sendBeacon(this.endpoint, blob)) {
+                break; // Beacon queue is full; leave the rest persisted for the next page load
+            }
+            this.queue.splice(0, batch.length);
+        }
+        this.saveQueue();
+    }
+
+    async sendWithFetch(batch, config) {
+        const response = await fetch(config.endpoint, {
+            method: 'POST',
+            headers: config.headers,
+            body: this.serializeBatch(batch),
+            keepalive: true
+        });
+        if (!response.ok) {
+            throw new Error(`Monitoring service responded with ${response.status}`);
+        }
+        return response;
+    }
+
+    async sendWithBeacon(batch, config) {
+        const blob = new Blob([this.serializeBatch(batch)], { type: 'application/json' });
+        if (!navigator.sendBeacon(config.endpoint, blob)) {
+            throw new Error('Beacon was not queued by the browser');
+        }
+        return true;
+    }
+
+    serializeBatch(batch) {
+        return JSON.stringify({
+            sentAt: new Date().toISOString(),
+            url: window.location.href,
+            errors: batch
+        });
+    }
+
+    loadQueue() {
+        this.queue = this.storage.get(this.storageKey);
+    }
+
+    saveQueue() {
+        if (this.queue.length === 0) {
+            this.storage.remove(this.storageKey);
+        } else {
+            this.storage.set(this.storageKey, this.queue);
+        }
+    }
+
+    getQueueSize() {
+        return this.queue.length;
+    }
+
+    clearQueue() {
+        this.queue = [];
+        this.saveQueue();
+    }
+}
+
+// Create global transport instance and attach it to the error handler
+window.PocketGNUErrorTransport = new ErrorTransport();
+window.PocketGNUErrorHandler?.setTransport(window.PocketGNUErrorTransport);
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErrorTransport;
+}
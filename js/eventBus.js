@@ -0,0 +1,182 @@
+// Event Bus for PocketGNU - typed publish/subscribe between modules
+//
+// Every topic is declared in EVENT_TOPICS with the shape of its payload, so a typo in a topic name throws and a
+// malformed payload is reported instead of reaching subscribers. A subscriber that throws is logged and skipped;
+// the others still run. The last payload of each topic is kept, so late subscribers can ask for it with replay.
+const EVENT_TOPICS = {
+    // payload: field -> 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any'; null is always accepted
+    'error:logged': {
+        payload: { message: 'string', severity: 'string', category: 'string', fingerprint: 'string', count: 'number' }
+    },
+    'error:degraded': { payload: { subsystem: 'string', message: 'string', reason: 'string' } },
+    'network:changed': { payload: { online: 'boolean' } },
+    'theme:changed': { payload: { theme: 'string' } },
+    'vitals:updated': { payload: { name: 'string', value: 'number', attribution: 'object', vitals: 'object' } },
+    'sw:updated': { payload: { scriptURL: 'string' } }
+};
+
+class EventBus {
+    constructor() {
+        this.topics = { ...EVENT_TOPICS };
+        this.subscriptions = new Set(); // { pattern, matcher, handler, once }
+        this.last = new Map(); // Topic -> { payload, timestamp } of its latest emit
+        this.isReporting = false;
+    }
+
+    // Declare a topic at runtime, e.g. define('editor:saved', { payload: { path: 'string' } })
+    define(topic, schema = {}) {
+        this.topics[topic] = { payload: {}, ...schema };
+    }
+
+    // ===== SUBSCRIBE =====
+
+    // handler(payload, { topic, timestamp, replayed }). A pattern may use * wildcards: 'error:*', '*:changed', '*'.
+    // options: { once, replay: also deliver the last payload of every matching topic right away }
+    // Returns a function that unsubscribes.
+    on(pattern, handler, options = {}) {
+        if (!pattern.includes('*')) {
+            this.assertDefined(pattern);
+        }
+        const subscription = {
+            pattern,
+            matcher: this.compilePattern(pattern),
+            handler,
+            once: Boolean(options.once)
+        };
+        this.subscriptions.add(subscription);
+        const unsubscribe = () => this.subscriptions.delete(subscription);
+
+        if (options.replay) {
+            for (const [topic, { payload, timestamp }] of this.last) {
+                if (!this.subscriptions.has(subscription)) {
+                    break; // A once subscription already fired
+                }
+                if (subscription.matcher.test(topic)) {
+                    this.deliver(subscription, payload, { topic, timestamp, replayed: true });
+                }
+            }
+        }
+        return unsubscribe;
+    }
+
+    once(pattern, handler, options = {}) {
+        return this.on(pattern, handler, { ...options, once: true });
+    }
+
+    // ===== PUBLISH =====
+
+    // Returns false when the payload does not match the topic's declared shape; nothing is delivered then
+    emit(topic, payload = {}) {
+        this.assertDefined(topic);
+        const problem = this.validate(topic, payload);
+        if (problem) {
+            this.report(`Invalid payload for event ${topic}: ${problem}`, { topic }, 'warn');
+            return false;
+        }
+
+        const timestamp = Date.now();
+        this.last.set(topic, { payload, timestamp });
+
+        // Snapshot: handlers may subscribe or unsubscribe while we deliver
+        [...this.subscriptions]
+            .filter(subscription => subscription.matcher.test(topic))
+            .forEach(subscription => {
+                if (this.subscriptions.has(subscription)) {
+                    this.deliver(subscription, payload, { topic, timestamp, replayed: false });
+                }
+            });
+        return true;
+    }
+
+    // Latest payload emitted on a topic, or null
+    getLast(topic) {
+        this.assertDefined(topic);
+        return this.last.get(topic)?.payload ?? null;
+    }
+
+    // e.g. [{ topic: 'network:changed', subscribers: 2, lastEmittedAt: 1718000000000 }]
+    getTopics() {
+        return Object.keys(this.topics).map(topic => ({
+            topic,
+            subscribers: [...this.subscriptions].filter(subscription => subscription.matcher.test(topic)).length,
+            lastEmittedAt: this.last.get(topic)?.timestamp ?? null
+        }));
+    }
+
+    // ===== INTERNALS =====
+
+    deliver(subscription, payload, details) {
+        if (subscription.once) {
+            this.subscriptions.delete(subscription);
+        }
+        try {
+            subscription.handler(payload, details);
+        } catch (error) {
+            this.report(`Subscriber to ${details.topic} failed: ${error.message}`, {
+                topic: details.topic,
+                pattern: subscription.pattern,
+                subscriber: subscription.handler.name || 'anonymous',
+                error: error.message,
+                stack: error.stack
+            }, 'error');
+        }
+    }
+
+    compilePattern(pattern) {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`);
+    }
+
+    // Returns a description of the first mismatch, or null when the payload fits
+    validate(topic, payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return 'payload must be an object';
+        }
+        const fields = this.topics[topic].payload || {};
+        const field = Object.keys(fields).find(name => !this.isType(payload[name], fields[name]));
+        return field ? `${field} should be ${fields[field]}` : null;
+    }
+
+    isType(value, type) {
+        if (value === null || type === 'any') {
+            return true;
+        }
+        if (type === 'array') {
+            return Array.isArray(value);
+        }
+        if (type === 'object') {
+            return typeof value === 'object' && !Array.isArray(value);
+        }
+        return typeof value === type;
+    }
+
+    assertDefined(topic) {
+        if (!this.topics[topic]) {
+            throw new Error(`Unknown event topic "${topic}"; declare it with define() first`);
+        }
+    }
+
+    // Logging emits error:logged, so a subscriber that fails on it would report itself forever; a failure while
+    // reporting goes to the console instead
+    report(message, context, severity) {
+        const errorHandler = window.PocketGNUErrorHandler;
+        if (this.isReporting || !errorHandler) {
+            console.warn(message, context);
+            return;
+        }
+        this.isReporting = true;
+        try {
+            errorHandler.logCustomError(message, context, { severity, category: 'async' });
+        } finally {
+            this.isReporting = false;
+        }
+    }
+}
+
+// Create global event bus instance
+window.PocketGNUEvents = new EventBus();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
@@ -0,0 +1,399 @@
+// Declarative Form Validation for PocketGNU
+//
+// Rules come from the markup (required, minlength, maxlength, pattern, type="email" / "url") plus any rule lists
+// passed to attach(). Errors render inline under each field, linked through aria-describedby, and a submit with
+// errors is blocked and moves focus to the first invalid field. Messages can be overridden per field with
+// data-error-<rule> attributes, e.g. data-error-min-length="Tell us your full name".
+class FormValidation {
+    constructor() {
+        this.utils = window.PocketGNUUtils;
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.forms = new Map(); // Form element -> record, see attach
+        this.checkFailedMessage = 'This field could not be checked. Please try again.';
+        this.submitFailedMessage = 'Something went wrong. Please try again.';
+        this.rules = this.createRules();
+    }
+
+    // ===== RULES =====
+
+    // A rule is { name, message, test(value, values) } where test returns true, false or a message, or a Promise of
+    // one. Rules other than required are skipped for empty values, so optional fields only validate when filled in.
+    createRules() {
+        const rule = (name, test, message) => ({ name, test, message });
+
+        return {
+            required: (message = 'This field is required') =>
+                rule('required', value => !this.isEmpty(value), message),
+            minLength: (min, message = `Use at least ${min} characters`) =>
+                rule('minLength', value => String(value).length >= min, message),
+            maxLength: (max, message = `Use at most ${max} characters`) =>
+                rule('maxLength', value => String(value).length <= max, message),
+            pattern: (regex, message = 'Please match the requested format') =>
+                rule('pattern', value => regex.test(String(value)), message),
+            email: (message = 'Enter a valid email address') =>
+                rule('email', value => this.utils.isValidEmail(String(value)), message),
+            url: (message = 'Enter a valid URL, including https://') =>
+                rule('url', value => this.utils.isValidURL(String(value)), message),
+            // e.g. custom('available', value => api.isAvailable(value), 'That username is taken')
+            custom: (name, test, message = 'This value is not valid') => rule(name, test, message)
+        };
+    }
+
+    // Rules declared with HTML attributes; without a data-error-* override each rule keeps its default message
+    getMarkupRules(element) {
+        const rules = [];
+        const message = (name) => element.dataset[`error${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+
+        if (element.required) {
+            rules.push(this.rules.required(message('required')));
+        }
+        if (element.type === 'email') {
+            rules.push(this.rules.email(message('email')));
+        }
+        if (element.type === 'url') {
+            rules.push(this.rules.url(message('url')));
+        }
+        if (element.hasAttribute('minlength')) {
+            rules.push(this.rules.minLength(Number(element.getAttribute('minlength')), message('minLength')));
+        }
+        if (element.hasAttribute('maxlength')) {
+            rules.push(this.rules.maxLength(Number(element.getAttribute('maxlength')), message('maxLength')));
+        }
+        if (element.hasAttribute('pattern')) {
+            // Like the browser, the pattern has to match the whole value, and an invalid pattern is ignored
+            const pattern = element.getAttribute('pattern');
+            try {
+                rules.push(this.rules.pattern(new RegExp(`^(?:${pattern})$`), message('pattern')));
+            } catch (error) {
+                this.errorHandler.logCustomError(`Ignoring invalid pattern on ${element.name || element.id}`, {
+                    pattern,
+                    error: error.message
+                }, { severity: 'warn', category: 'dom' });
+            }
+        }
+        return rules;
+    }
+
+    // ===== ATTACH =====
+
+    // options:
+    //   fields    { [name]: [rules] } added after the rules from the markup
+    //   validate  (values) => null | form-level message | { [name]: message }, may return a Promise
+    //   onSubmit  (values, handle) called with valid values; may return a Promise. Throwing shows a form error.
+    // Returns a handle: { form, validate(), validateField(name), getValues(), reset(), destroy() }
+    attach(formOrSelector, options = {}) {
+        const form = typeof formOrSelector === 'string' ? this.utils.safeQuerySelector(formOrSelector) : formOrSelector;
+        if (!form) {
+            this.errorHandler.logCustomError('Cannot attach validation: form not found', {
+                selector: typeof formOrSelector === 'string' ? formOrSelector : null
+            }, { severity: 'warn', category: 'dom' });
+            return null;
+        }
+        if (this.forms.has(form)) {
+            return this.forms.get(form).handle;
+        }
+
+        const name = form.id || form.getAttribute('name') || 'form';
+        const record = {
+            name,
+            form,
+            options,
+            fields: new Map(), // Field name -> { name, element, rules, errorElement, describedBy, error, token }
+            formErrorElement: this.createErrorElement(`${name}-error`, 'form-error'),
+            describedBy: form.getAttribute('aria-describedby'), // Restored on detach, like each field's
+            noValidate: form.noValidate,
+            isSubmitting: false,
+            scope: window.PocketGNUScopes.create(`Form ${name}`, { context: { form: name } })
+        };
+
+        form.noValidate = true; // Our inline messages replace the browser's bubbles
+        form.insertBefore(record.formErrorElement, form.firstChild);
+        this.addDescribedBy(form, record.formErrorElement.id);
+
+        [...form.elements]
+            .filter(element => element.name && !['submit', 'button', 'reset', 'fieldset'].includes(element.type))
+            .forEach(element => this.addField(record, element));
+
+        record.scope.addEventListener(form, 'submit', (e) => this.handleSubmit(record, e));
+        record.handle = {
+            form,
+            validate: () => this.validateForm(record),
+            validateField: fieldName => this.validateField(record, record.fields.get(fieldName)),
+            getValues: () => this.getValues(record),
+            reset: () => this.reset(record),
+            destroy: () => this.detach(record)
+        };
+
+        this.forms.set(form, record);
+        return record.handle;
+    }
+
+    addField(record, element) {
+        if (record.fields.has(element.name)) {
+            return; // Radio groups share one name; the first input carries the error
+        }
+        if (!element.id) {
+            element.id = `${record.name}-${element.name}`;
+        }
+
+        const field = {
+            name: element.name,
+            element,
+            rules: [...this.getMarkupRules(element), ...(record.options.fields?.[element.name] || [])],
+            errorElement: this.createErrorElement(`${element.id}-error`, 'field-error'),
+            describedBy: element.getAttribute('aria-describedby'),
+            error: null,
+            failedRule: null, // Name of the rule behind error, for logging
+            token: 0 // Bumped per validation so a slow async rule cannot overwrite a newer result
+        };
+        element.insertAdjacentElement('afterend', field.errorElement);
+        this.addDescribedBy(element, field.errorElement.id);
+        record.fields.set(field.name, field);
+
+        // Validate once the user leaves a field, then live while they fix an error
+        record.scope.addEventListener(element, 'blur', () => {
+            if (!this.isEmpty(this.getFieldValue(element)) || field.error) {
+                this.validateField(record, field);
+            }
+        });
+        record.scope.addEventListener(element, 'input', () => {
+            if (field.error) {
+                this.validateField(record, field);
+            }
+        });
+    }
+
+    detach(record) {
+        record.scope.dispose();
+        record.fields.forEach(field => {
+            field.errorElement.remove();
+            field.element.removeAttribute('aria-invalid');
+            this.restoreDescribedBy(field.element, field.describedBy);
+        });
+        record.formErrorElement.remove();
+        this.restoreDescribedBy(record.form, record.describedBy);
+        record.form.noValidate = record.noValidate;
+        this.forms.delete(record.form);
+    }
+
+    // ===== VALIDATION =====
+
+    // Resolves with the field's error message, or null when it is valid
+    async validateField(record, field) {
+        if (!field) {
+            return null;
+        }
+        const token = ++field.token;
+        const values = this.getValues(record);
+        const value = values[field.name];
+        let message = null;
+        let failedRule = null;
+
+        for (const rule of field.rules) {
+            if (rule.name !== 'required' && this.isEmpty(value)) {
+                continue;
+            }
+            try {
+                const result = await rule.test(value, values);
+                if (result === false || typeof result === 'string') {
+                    message = typeof result === 'string' ? result : rule.message;
+                    failedRule = rule.name;
+                    break;
+                }
+            } catch (error) {
+                // A broken or unreachable custom rule is our fault, not the user's
+                this.errorHandler.logCustomError(`Validation rule "${rule.name}" failed: ${error.message}`, {
+                    form: record.name,
+                    field: field.name,
+                    rule: rule.name,
+                    error: error.message,
+                    stack: error.stack
+                }, { severity: 'error', category: 'ui' });
+                message = this.checkFailedMessage;
+                failedRule = rule.name;
+                break;
+            }
+        }
+
+        if (token === field.token) {
+            field.failedRule = failedRule;
+            this.renderFieldError(field, message);
+        }
+        return field.error;
+    }
+
+    // Resolves with { valid, errors: { [name]: message }, formError }
+    async validateForm(record) {
+        const fields = [...record.fields.values()];
+        await Promise.all(fields.map(field => this.validateField(record, field)));
+
+        let formError = null;
+        if (record.options.validate) {
+            const result = await record.options.validate(this.getValues(record));
+            if (typeof result === 'string') {
+                formError = result;
+            } else if (result) {
+                Object.keys(result).forEach(name => {
+                    const field = record.fields.get(name);
+                    if (field && result[name]) {
+                        field.failedRule = 'form';
+                        this.renderFieldError(field, result[name]);
+                    }
+                });
+            }
+        }
+        this.renderFormError(record, formError);
+
+        const errors = {};
+        fields.filter(field => field.error).forEach(field => {
+            errors[field.name] = field.error;
+        });
+        return { valid: Object.keys(errors).length === 0 && !formError, errors, formError };
+    }
+
+    async handleSubmit(record, event) {
+        event.preventDefault();
+        if (record.isSubmitting) {
+            return;
+        }
+
+        this.setSubmitting(record, true);
+        try {
+            const result = await this.validateForm(record);
+            if (!result.valid) {
+                this.focusFirstInvalid(record);
+                // Users mistyping is expected, so this is a breadcrumb-level event; values are never logged
+                this.errorHandler.logCustomError(`Form ${record.name} submitted with errors`, {
+                    form: record.name,
+                    fields: Object.keys(result.errors),
+                    rules: Object.keys(result.errors).map(name => record.fields.get(name).failedRule),
+                    formError: Boolean(result.formError)
+                }, { severity: 'info', category: 'ui' });
+                return;
+            }
+
+            if (record.options.onSubmit) {
+                await record.options.onSubmit(this.getValues(record), record.handle);
+            }
+        } catch (error) {
+            const { NetworkError, TimeoutError } = this.utils.httpErrors;
+            const isConnectivity = error instanceof NetworkError || error instanceof TimeoutError;
+            this.renderFormError(record, this.submitFailedMessage);
+            this.errorHandler.logCustomError(`Form ${record.name} submission failed: ${error.message}`, {
+                form: record.name,
+                error: error.message,
+                stack: error.stack
+            }, { severity: isConnectivity ? 'warn' : 'error', category: isConnectivity ? 'network' : 'ui' });
+        } finally {
+            this.setSubmitting(record, false);
+        }
+    }
+
+    // ===== RENDERING =====
+
+    // Field errors are announced politely as the user types; a form-level error is announced at once
+    createErrorElement(id, className) {
+        const isFormError = className === 'form-error';
+        const element = document.createElement(isFormError ? 'div' : 'p');
+        element.id = id;
+        element.className = className;
+        element.hidden = true;
+        if (isFormError) {
+            element.setAttribute('role', 'alert');
+            element.tabIndex = -1; // Focus target when a submit fails without a field error
+        } else {
+            element.setAttribute('aria-live', 'polite');
+        }
+        return element;
+    }
+
+    renderFieldError(field, message) {
+        field.error = message || null;
+        field.errorElement.textContent = message || '';
+        field.errorElement.hidden = !message;
+        if (message) {
+            field.element.setAttribute('aria-invalid', 'true');
+        } else {
+            field.element.removeAttribute('aria-invalid');
+        }
+    }
+
+    renderFormError(record, message) {
+        record.formErrorElement.textContent = message || '';
+        record.formErrorElement.hidden = !message;
+    }
+
+    focusFirstInvalid(record) {
+        const first = [...record.fields.values()].find(field => field.error);
+        if (first) {
+            first.element.focus();
+        } else {
+            record.formErrorElement.focus();
+        }
+    }
+
+    setSubmitting(record, isSubmitting) {
+        record.isSubmitting = isSubmitting;
+        record.form.setAttribute('aria-busy', String(isSubmitting));
+        record.form.querySelectorAll('[type="submit"]').forEach(button => {
+            button.disabled = isSubmitting;
+        });
+    }
+
+    reset(record) {
+        record.form.reset();
+        record.fields.forEach(field => {
+            field.token += 1;
+            this.renderFieldError(field, null);
+        });
+        this.renderFormError(record, null);
+    }
+
+    // ===== HELPERS =====
+
+    getValues(record) {
+        const values = {};
+        record.fields.forEach(field => {
+            values[field.name] = this.getFieldValue(field.element);
+        });
+        return values;
+    }
+
+    getFieldValue(element) {
+        if (element.type === 'checkbox') {
+            return element.checked;
+        }
+        if (element.type === 'radio') {
+            const checked = element.form?.querySelector(`input[name="${element.name}"]:checked`);
+            return checked ? checked.value : '';
+        }
+        return typeof element.value === 'string' ? element.value.trim() : element.value;
+    }
+
+    isEmpty(value) {
+        return value === null || typeof value === 'undefined' || value === '' || value === false;
+    }
+
+    addDescribedBy(element, id) {
+        const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!ids.includes(id)) {
+            element.setAttribute('aria-describedby', [...ids, id].join(' '));
+        }
+    }
+
+    restoreDescribedBy(element, original) {
+        if (original) {
+            element.setAttribute('aria-describedby', original);
+        } else {
+            element.removeAttribute('aria-describedby');
+        }
+    }
+}
+
+// Create global form validation instance
+window.PocketGNUForms = new FormValidation();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormValidation;
+}
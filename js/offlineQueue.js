@@ -0,0 +1,366 @@
+// Offline Request Queue for PocketGNU - durable write requests replayed in order once connectivity returns
+//
+// Entries are plain request descriptions, so anything a caller needs after replay lives in a named handler
+// registered at startup: { prepare(entry), onSuccess(data, entry), onConflict(error, entry), onFailure(error, entry) }.
+class OfflineQueue {
+    constructor(options = {}) {
+        this.utils = window.PocketGNUUtils;
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.dbName = 'pocketgnu-offline-queue';
+        this.dbVersion = 1;
+        this.storeName = 'requests';
+        this.storage = window.PocketGNUStorage;
+        this.fallbackKey = 'offlineQueue.fallback'; // Storage key used when IndexedDB is unavailable
+        this.syncTag = 'pocketgnu-offline-queue';
+
+        this.defaultTtl = 24 * 60 * 60 * 1000; // Queued requests older than a day are dropped, not replayed
+        this.maxConflictRetries = 3;
+        // Credentials are never written to disk; supply them at replay time from prepare() or an interceptor
+        this.sensitiveHeaders = /^(authorization|cookie|x-api-key)$/i;
+
+        this.handlers = new Map();
+        this.backend = null; // 'indexeddb' | 'localstorage' once ready
+        this.db = null;
+        this.isReplaying = false;
+
+        Object.assign(this, options);
+        this.ready = this.open();
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.replay());
+
+        // The service worker forwards background sync events, which can fire before the page sees `online`
+        if (this.utils.supportsFeature('serviceWorker')) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'REPLAY_OFFLINE_QUEUE') {
+                    this.replay();
+                }
+            });
+        }
+
+        // Replay leftovers from an earlier session once the page has registered its handlers
+        const replayOnLoad = () => this.ready.then(() => {
+            this.updateBadge();
+            this.replay();
+        });
+        if (document.readyState === 'complete') {
+            replayOnLoad();
+        } else {
+            window.addEventListener('load', replayOnLoad, { once: true });
+        }
+    }
+
+    registerHandler(name, handler) {
+        this.handlers.set(name, handler);
+    }
+
+    // ===== BACKENDS =====
+
+    open() {
+        if (!this.utils.supportsFeature('indexedDB')) {
+            this.backend = 'localstorage';
+            return Promise.resolve(this.backend);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    // Auto-incrementing ids preserve enqueue order for replay
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('key', 'key');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(db => {
+            this.db = db;
+            this.backend = 'indexeddb';
+            return this.backend;
+        }).catch(error => {
+            console.warn('IndexedDB unavailable, queueing offline requests in localStorage:', error);
+            this.backend = 'localstorage';
+            return this.backend;
+        });
+    }
+
+    // ===== QUEUE =====
+
+    // request: { url, method, headers, body, responseType, context, timeout }
+    // options: { handler, key, ttl } - a key coalesces entries, so only the latest request for it is replayed
+    async enqueue(request, options = {}) {
+        await this.ready;
+
+        const entry = {
+            url: request.url,
+            method: (request.method || 'POST').toUpperCase(),
+            headers: this.stripSensitiveHeaders(request.headers),
+            body: request.body,
+            responseType: request.responseType,
+            context: request.context,
+            timeout: request.timeout,
+            handler: options.handler || null,
+            key: options.key || null,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + (options.ttl || this.defaultTtl),
+            conflicts: 0
+        };
+
+        if (entry.key) {
+            await this.removeByKey(entry.key);
+        }
+        const id = await this.add(entry);
+
+        const label = `${entry.method} ${this.errorHandler?.stripQuery(entry.url)}`;
+        this.errorHandler?.addBreadcrumb('network', `Queued ${label}`, { id, key: entry.key });
+        this.updateBadge();
+        this.registerBackgroundSync();
+        return id;
+    }
+
+    // Send queued requests oldest first; stops at the first one that fails for connectivity reasons
+    async replay() {
+        if (this.isReplaying || this.utils.isOffline()) {
+            return;
+        }
+
+        this.isReplaying = true;
+        try {
+            await this.ready;
+            for (const entry of await this.getAll()) {
+                const shouldContinue = await this.replayEntry(entry);
+                if (!shouldContinue) {
+                    break;
+                }
+            }
+        } finally {
+            this.isReplaying = false;
+            this.updateBadge();
+        }
+    }
+
+    // Returns false when replay should stop and keep the remaining entries for later
+    async replayEntry(entry) {
+        const handler = this.handlers.get(entry.handler) || {};
+
+        if (Date.now() > entry.expiresAt) {
+            await this.remove(entry.id);
+            this.errorHandler?.logCustomError(`Offline request expired: ${entry.method} ${entry.url}`, {
+                key: entry.key,
+                queuedAt: new Date(entry.createdAt).toISOString()
+            }, { severity: 'warn', category: 'network' });
+            this.callHandler(handler.onFailure, new Error('Queued request expired'), entry);
+            return true;
+        }
+
+        try {
+            const request = handler.prepare ? await handler.prepare({ ...entry }) : entry;
+            const data = await this.utils.httpRequest(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                responseType: request.responseType,
+                context: request.context,
+                timeout: request.timeout,
+                retry: { attempts: 1 } // The queue itself is the retry mechanism
+            });
+            await this.remove(entry.id);
+            this.callHandler(handler.onSuccess, data, entry);
+            return true;
+        } catch (error) {
+            return this.handleReplayError(error, entry, handler);
+        }
+    }
+
+    async handleReplayError(error, entry, handler) {
+        const { NetworkError, TimeoutError, HttpError } = this.utils.httpErrors;
+
+        // Connectivity or server trouble: keep this and every later entry, in order, for the next replay
+        const isTransient = error instanceof NetworkError || error instanceof TimeoutError ||
+            error.name === 'CircuitOpenError' ||
+            (error instanceof HttpError && (error.status === 429 || error.status >= 500));
+        if (isTransient) {
+            return false;
+        }
+
+        // 409 Conflict / 412 Precondition Failed: the server state moved on while we were offline
+        const isConflict = error instanceof HttpError && (error.status === 409 || error.status === 412);
+        if (isConflict && handler.onConflict && entry.conflicts < this.maxConflictRetries) {
+            const resolution = await handler.onConflict(error, { ...entry });
+            if (resolution && typeof resolution === 'object') {
+                const updated = { ...entry, ...resolution, id: entry.id, conflicts: entry.conflicts + 1 };
+                await this.put(updated);
+                return this.replayEntry(updated);
+            }
+        }
+
+        await this.remove(entry.id);
+        this.errorHandler?.logCustomError(`Dropped offline request: ${entry.method} ${entry.url}`, {
+            key: entry.key,
+            status: error.status,
+            error: error.message,
+            conflict: isConflict
+        }, { severity: isConflict ? 'warn' : 'error', category: 'network' });
+        this.callHandler(handler.onFailure, error, entry);
+        return true;
+    }
+
+    callHandler(callback, value, entry) {
+        if (typeof callback !== 'function') {
+            return;
+        }
+        try {
+            callback(value, entry);
+        } catch (error) {
+            this.errorHandler?.logCustomError(`Offline queue handler "${entry.handler}" failed`, {
+                error: error.message,
+                stack: error.stack
+            }, { severity: 'error', category: 'async' });
+        }
+    }
+
+    stripSensitiveHeaders(headers = {}) {
+        const safe = {};
+        Object.keys(headers).forEach(name => {
+            if (!this.sensitiveHeaders.test(name)) {
+                safe[name] = headers[name];
+            }
+        });
+        return safe;
+    }
+
+    // ===== UI & SERVICE WORKER =====
+
+    updateBadge() {
+        this.count().then(count => {
+            const badge = document.getElementById('offline-queue-badge');
+            if (!badge) {
+                return;
+            }
+            badge.textContent = `${count} pending`;
+            badge.setAttribute('aria-label', `${count} ${count === 1 ? 'change' : 'changes'} waiting to sync`);
+            badge.hidden = count === 0;
+        });
+    }
+
+    // Ask the service worker to wake us with a `sync` event once the browser is back online
+    registerBackgroundSync() {
+        if (!this.utils.supportsFeature('backgroundSync')) {
+            return;
+        }
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync.register(this.syncTag))
+            .catch(error => console.warn('Background sync registration failed:', error));
+    }
+
+    // ===== STORAGE =====
+
+    getAll() {
+        return this.ready.then(() => {
+            if (this.backend === 'indexeddb') {
+                return this.transaction('readonly', store => this.request(store.getAll()));
+            }
+            return this.readFallback();
+        });
+    }
+
+    count() {
+        return this.getAll().then(entries => entries.length).catch(() => 0);
+    }
+
+    add(entry) {
+        if (this.backend === 'indexeddb') {
+            return this.transaction('readwrite', store => this.request(store.add(entry)));
+        }
+        const entries = this.readFallback();
+        entry.id = entries.reduce((max, existing) => Math.max(max, existing.id), 0) + 1;
+        entries.push(entry);
+        this.writeFallback(entries);
+        return Promise.resolve(entry.id);
+    }
+
+    put(entry) {
+        if (this.backend === 'indexeddb') {
+            return this.transaction('readwrite', store => {
+                store.put(entry);
+            });
+        }
+        this.writeFallback(this.readFallback().map(existing => (existing.id === entry.id ? entry : existing)));
+        return Promise.resolve();
+    }
+
+    remove(id) {
+        if (this.backend === 'indexeddb') {
+            return this.transaction('readwrite', store => {
+                store.delete(id);
+            });
+        }
+        this.writeFallback(this.readFallback().filter(entry => entry.id !== id));
+        return Promise.resolve();
+    }
+
+    removeByKey(key) {
+        if (this.backend === 'indexeddb') {
+            return this.transaction('readwrite', store => this.request(store.index('key').getAllKeys(key))
+                .then(ids => ids.forEach(id => store.delete(id))));
+        }
+        this.writeFallback(this.readFallback().filter(entry => entry.key !== key));
+        return Promise.resolve();
+    }
+
+    clear() {
+        return this.ready.then(() => {
+            if (this.backend === 'indexeddb') {
+                return this.transaction('readwrite', store => {
+                    store.clear();
+                });
+            }
+            this.writeFallback([]);
+            return null;
+        }).then(() => this.updateBadge());
+    }
+
+    // Run work(store) in a transaction; resolves with work's result once the transaction completes
+    transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            let result;
+            Promise.resolve(work(tx.objectStore(this.storeName))).then(value => {
+                result = value;
+            }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    readFallback() {
+        return this.storage.get(this.fallbackKey);
+    }
+
+    writeFallback(entries) {
+        if (entries.length === 0) {
+            this.storage.remove(this.fallbackKey);
+        } else {
+            this.storage.set(this.fallbackKey, entries);
+        }
+    }
+}
+
+// Create global offline queue instance
+window.PocketGNUOfflineQueue = new OfflineQueue();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQueue;
+}
@@ -1,4 +1,22 @@
 // Performance Monitoring and Optimization Module - Phase 2
+
+// Performance budgets, checked as entries arrive; see checkBudget. Override at runtime with setBudgets().
+const PERFORMANCE_BUDGETS = {
+    // Per resource type (see getResourceType): largest file in bytes, slowest load in ms
+    resources: {
+        script: { bytes: 100 * 1024, duration: 1000 },
+        style: { bytes: 60 * 1024, duration: 1000 },
+        font: { bytes: 100 * 1024, duration: 1000 },
+        image: { bytes: 200 * 1024, duration: 2000 },
+        json: { bytes: 50 * 1024, duration: 1000 },
+        document: { bytes: 100 * 1024, duration: 1000 },
+        other: { bytes: 100 * 1024, duration: 2000 }
+    },
+    totalBytes: 1024 * 1024, // Transferred over the network this page view; cached resources count as 0
+    vitals: { lcp: 2500, inp: 200, cls: 0.1 }, // The "good" thresholds of Core Web Vitals
+    longTasks: 10 // Main-thread tasks over 50ms
+};
+
 class PerformanceOptimizer {
     constructor() {
         this.metrics = {
@@ -7,17 +25,31 @@ class PerformanceOptimizer {
             firstPaint: 0,
             firstContentfulPaint: 0,
             largestContentfulPaint: 0,
-            firstInputDelay: 0,
+            interactionToNextPaint: 0,
             cumulativeLayoutShift: 0,
+            timeToFirstByte: 0,
+            totalTransferSize: 0,
+            longTaskCount: 0,
+            longTasks: { source: null, lowEndDevice: false, byComponent: {}, recent: [] }, // See observeLongTasks
+            attribution: { lcp: null, inp: null, cls: null, ttfb: null }, // See measureCoreWebVitals
             resourceLoadTimes: new Map(),
             memoryUsage: null,
             networkInfo: null
         };
         
+        this.budgets = JSON.parse(JSON.stringify(PERFORMANCE_BUDGETS));
+        this.budgetViolations = new Map(); // Budget (and resource) -> violation, each reported once
         this.observers = new Map();
         this.lazyImages = new Set();
         this.lazyComponents = new Set();
+        this.lazyLoaders = new Map(); // data-lazy-component name -> { loader, definition, retry }
+        // loadLazyComponent logs the final failure itself
+        this.lazyRetryPolicy = { attempts: 3, baseDelay: 500, factor: 2, jitter: 'full', log: false };
         this.intersectionObserver = null;
+        this.utils = window.PocketGNUUtils;
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.events = window.PocketGNUEvents;
+        this.scope = null; // Owns every observer, listener and interval started by startMonitoring()
         
         this.init();
     }
@@ -32,8 +64,10 @@ class PerformanceOptimizer {
     }
 
     startMonitoring() {
+        this.scope = window.PocketGNUScopes.create('Performance Optimizer');
         this.measureCoreWebVitals();
         this.setupResourceObserver();
+        this.observeLongTasks();
         this.setupMemoryMonitoring();
         this.setupNetworkMonitoring();
         this.initLazyLoading();
@@ -43,62 +77,16 @@ class PerformanceOptimizer {
         console.log('🚀 Performance Optimizer initialized');
     }
 
-    // Core Web Vitals Measurement
+    // Core Web Vitals Measurement: LCP, INP and session-windowed CLS as web-vitals defines them, plus TTFB.
+    // Each metric keeps attribution in this.metrics.attribution so a slow value points at the element behind it.
     measureCoreWebVitals() {
-        // Performance Observer for various metrics
-        if ('PerformanceObserver' in window) {
-            // Largest Contentful Paint (LCP)
-            const lcpObserver = new PerformanceObserver((entryList) => {
-                const entries = entryList.getEntries();
-                const lastEntry = entries[entries.length - 1];
-                this.metrics.largestContentfulPaint = lastEntry.startTime;
-                console.log(`📊 LCP: ${lastEntry.startTime.toFixed(2)}ms`);
-            });
-            
-            try {
-                lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-                this.observers.set('lcp', lcpObserver);
-            } catch (e) {
-                console.warn('LCP observer not supported');
-            }
-
-            // First Input Delay (FID)
-            const fidObserver = new PerformanceObserver((entryList) => {
-                const entries = entryList.getEntries();
-                entries.forEach(entry => {
-                    this.metrics.firstInputDelay = entry.processingStart - entry.startTime;
-                    console.log(`📊 FID: ${this.metrics.firstInputDelay.toFixed(2)}ms`);
-                });
-            });
-            
-            try {
-                fidObserver.observe({ entryTypes: ['first-input'] });
-                this.observers.set('fid', fidObserver);
-            } catch (e) {
-                console.warn('FID observer not supported');
-            }
-
-            // Cumulative Layout Shift (CLS)
-            const clsObserver = new PerformanceObserver((entryList) => {
-                const entries = entryList.getEntries();
-                entries.forEach(entry => {
-                    if (!entry.hadRecentInput) {
-                        this.metrics.cumulativeLayoutShift += entry.value;
-                    }
-                });
-                console.log(`📊 CLS: ${this.metrics.cumulativeLayoutShift.toFixed(4)}`);
-            });
-            
-            try {
-                clsObserver.observe({ entryTypes: ['layout-shift'] });
-                this.observers.set('cls', clsObserver);
-            } catch (e) {
-                console.warn('CLS observer not supported');
-            }
-        }
+        this.observeLargestContentfulPaint();
+        this.observeInteractionToNextPaint();
+        this.observeLayoutShifts();
+        this.measureTimeToFirstByte();
 
         // Navigation Timing API
-        window.addEventListener('load', () => {
+        this.scope.addEventListener(window, 'load', () => {
             const navigation = performance.getEntriesByType('navigation')[0];
             if (navigation) {
                 this.metrics.loadTime = navigation.loadEventEnd - navigation.fetchStart;
@@ -122,37 +110,403 @@ class PerformanceOptimizer {
         });
     }
 
-    // Resource Loading Observer
+    // Observe one entry type; buffered, so entries recorded before this deferred script ran count too
+    observeEntries(name, type, callback, options = {}) {
+        if (!this.utils.supportsEntryType(type)) {
+            return null;
+        }
+        const observer = new PerformanceObserver(this.scope.guard(list => list.getEntries().forEach(callback)));
+        try {
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.set(name, this.scope.observe(observer));
+            return observer;
+        } catch (e) {
+            console.warn(`${name.toUpperCase()} observer not supported`);
+            return null;
+        }
+    }
+
+    // Largest Contentful Paint (LCP): the browser stops reporting candidates after the first input, so the value
+    // is final at that point, or when the page is hidden
+    observeLargestContentfulPaint() {
+        let isFinal = false;
+        const observer = this.observeEntries('lcp', 'largest-contentful-paint', (entry) => {
+            if (!isFinal) {
+                this.recordLargestContentfulPaint(entry); // Entries already queued when we finalized are ignored
+            }
+        });
+        if (!observer) {
+            return;
+        }
+
+        const finalize = () => {
+            if (isFinal) {
+                return;
+            }
+            observer.takeRecords().forEach(entry => this.recordLargestContentfulPaint(entry));
+            isFinal = true;
+            observer.disconnect();
+            this.observers.delete('lcp');
+            if (this.metrics.attribution.lcp) {
+                this.metrics.attribution.lcp.final = true;
+            }
+        };
+        ['keydown', 'pointerdown'].forEach(type => {
+            this.scope.addEventListener(window, type, finalize, { once: true, capture: true });
+        });
+        this.scope.addEventListener(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                finalize();
+            }
+        });
+    }
+
+    recordLargestContentfulPaint(entry) {
+        this.metrics.largestContentfulPaint = entry.startTime;
+        this.metrics.attribution.lcp = {
+            element: this.getSelector(entry.element),
+            url: entry.url || null, // Image or video source, if the element is one
+            size: entry.size,
+            final: false
+        };
+        console.log(`📊 LCP: ${entry.startTime.toFixed(2)}ms`);
+        this.emitVital('lcp', entry.startTime);
+    }
+
+    // Interaction to Next Paint (INP): roughly the 98th percentile interaction, i.e. the slowest one, ignoring one
+    // outlier per 50 interactions. Event entries of one interaction share an interactionId; the longest counts.
+    observeInteractionToNextPaint() {
+        const seen = new Set();
+        const slowest = []; // Ten slowest interactions, slowest first: { id, duration, attribution }
+
+        this.observeEntries('inp', 'event', (entry) => {
+            if (!entry.interactionId) {
+                return; // Not part of a discrete interaction, e.g. mousemove
+            }
+            seen.add(entry.interactionId);
+
+            const existing = slowest.find(interaction => interaction.id === entry.interactionId);
+            if (existing && existing.duration >= entry.duration) {
+                return;
+            }
+            const interaction = existing || { id: entry.interactionId };
+            interaction.duration = entry.duration;
+            interaction.attribution = {
+                target: this.getSelector(entry.target),
+                type: entry.name,
+                startTime: entry.startTime,
+                inputDelay: entry.processingStart - entry.startTime,
+                processingDuration: entry.processingEnd - entry.processingStart,
+                presentationDelay: entry.startTime + entry.duration - entry.processingEnd
+            };
+            if (!existing) {
+                slowest.push(interaction);
+            }
+            slowest.sort((a, b) => b.duration - a.duration);
+            slowest.splice(10);
+
+            const count = performance.interactionCount || seen.size;
+            const candidate = slowest[Math.min(slowest.length - 1, Math.floor(count / 50))];
+            if (candidate.duration !== this.metrics.interactionToNextPaint) {
+                this.metrics.interactionToNextPaint = candidate.duration;
+                this.metrics.attribution.inp = candidate.attribution;
+                console.log(`📊 INP: ${candidate.duration.toFixed(2)}ms`);
+                this.emitVital('inp', candidate.duration);
+            }
+        }, { durationThreshold: 16 });
+    }
+
+    // Cumulative Layout Shift (CLS): shifts are grouped into session windows (gaps under 1s, at most 5s long) and
+    // the worst window counts, so a long-lived page is not penalised for small shifts adding up over time
+    observeLayoutShifts() {
+        let session = { value: 0, entries: [] };
+
+        this.observeEntries('cls', 'layout-shift', (entry) => {
+            if (entry.hadRecentInput) {
+                return; // Shifts right after user input are expected
+            }
+            const first = session.entries[0];
+            const last = session.entries[session.entries.length - 1];
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                session.value += entry.value;
+                session.entries.push(entry);
+            } else {
+                session = { value: entry.value, entries: [entry] };
+            }
+
+            if (session.value > this.metrics.cumulativeLayoutShift) {
+                const largest = session.entries.reduce((max, shift) => (shift.value > max.value ? shift : max));
+                this.metrics.cumulativeLayoutShift = session.value;
+                this.metrics.attribution.cls = {
+                    element: this.getSelector(this.getLargestShiftSource(largest)),
+                    shiftTime: largest.startTime,
+                    shiftValue: largest.value
+                };
+                console.log(`📊 CLS: ${session.value.toFixed(4)}`);
+                this.emitVital('cls', session.value);
+            }
+        });
+    }
+
+    // The node that moved the most in a layout shift, by area of its new position
+    getLargestShiftSource(entry) {
+        const area = source => (source.currentRect ? source.currentRect.width * source.currentRect.height : 0);
+        const sources = (entry.sources || []).filter(source => source.node);
+        return sources.reduce((max, source) => (area(source) > area(max) ? source : max), sources[0])?.node || null;
+    }
+
+    // Time to First Byte (TTFB), split into where the time went
+    measureTimeToFirstByte() {
+        const navigation = performance.getEntriesByType?.('navigation')[0];
+        if (!navigation) {
+            return;
+        }
+        const activationStart = navigation.activationStart || 0; // Prerendered pages start when shown
+        this.metrics.timeToFirstByte = Math.max(navigation.responseStart - activationStart, 0);
+        this.metrics.attribution.ttfb = {
+            waiting: Math.max(navigation.domainLookupStart - activationStart, 0), // Redirects, SW startup, cache
+            dns: navigation.domainLookupEnd - navigation.domainLookupStart,
+            connection: navigation.connectEnd - navigation.connectStart,
+            request: navigation.responseStart - Math.max(navigation.requestStart, activationStart)
+        };
+        console.log(`📊 TTFB: ${this.metrics.timeToFirstByte.toFixed(2)}ms`);
+        this.emitVital('ttfb', this.metrics.timeToFirstByte);
+    }
+
+    // CSS-like path to an element, up to its nearest ancestor with an id, e.g. section#features > div.card > img
+    getSelector(element) {
+        const parts = [];
+        let current = element;
+        while (current && current.tagName && parts.length < 5) {
+            parts.unshift(this.errorHandler.describeElement(current));
+            if (current.id || current === document.body) {
+                break;
+            }
+            current = current.parentElement;
+        }
+        return parts.length > 0 ? parts.join(' > ') : null;
+    }
+
+    // Publish a vital with its attribution and the latest value of the others, so a replayed event is a full snapshot
+    emitVital(name, value) {
+        this.checkBudget(`vitals.${name}`, value, this.budgets.vitals[name]);
+        this.events.emit('vitals:updated', {
+            name,
+            value,
+            attribution: this.metrics.attribution[name] ?? null, // The topic requires the field; null when none
+            vitals: {
+                lcp: this.metrics.largestContentfulPaint,
+                inp: this.metrics.interactionToNextPaint,
+                cls: this.metrics.cumulativeLayoutShift,
+                ttfb: this.metrics.timeToFirstByte
+            }
+        });
+    }
+
+    // Resource Loading Observer; buffered, so the stylesheets and fonts loaded before this script count too
     setupResourceObserver() {
-        if ('PerformanceObserver' in window) {
-            const resourceObserver = new PerformanceObserver((entryList) => {
-                const entries = entryList.getEntries();
-                entries.forEach(entry => {
-                    const loadTime = entry.responseEnd - entry.startTime;
-                    this.metrics.resourceLoadTimes.set(entry.name, {
-                        loadTime,
-                        size: entry.transferSize || 0,
-                        type: this.getResourceType(entry.name)
-                    });
-                    
-                    if (loadTime > 1000) {
-                        console.warn(`⚠️ Slow resource: ${entry.name} (${loadTime.toFixed(2)}ms)`);
-                    }
-                });
-            });
-            
-            try {
-                resourceObserver.observe({ entryTypes: ['resource'] });
-                this.observers.set('resource', resourceObserver);
-            } catch (e) {
-                console.warn('Resource observer not supported');
+        this.observeEntries('resource', 'resource', (entry) => {
+            const timing = {
+                loadTime: entry.responseEnd - entry.startTime,
+                size: entry.transferSize || 0,
+                encodedSize: entry.encodedBodySize || 0, // Same whether or not it came from the cache
+                type: this.getResourceType(this.errorHandler.stripQuery(entry.name)) // e.g. styles.css?v=2
+            };
+            this.metrics.resourceLoadTimes.set(entry.name, timing);
+            this.metrics.totalTransferSize += timing.size;
+
+            this.checkResourceBudgets(entry.name, timing);
+            this.checkBudget('totalBytes', this.metrics.totalTransferSize, this.budgets.totalBytes);
+        });
+    }
+
+    // ===== LONG TASKS =====
+
+    // Main-thread tasks over 50ms, attributed to the PocketGNU component that was running (see
+    // utils.trackExecution). Long animation frames are preferred for attribution where supported: they list the
+    // scripts involved and tell whether input was waiting on them.
+    observeLongTasks() {
+        const useFrames = this.utils.supportsEntryType('long-animation-frame');
+        const longTasks = this.metrics.longTasks;
+        longTasks.source = useFrames ? 'long-animation-frame' : 'longtask';
+        longTasks.lowEndDevice = this.isLowEndDevice();
+
+        const taskObserver = this.observeEntries('longtask', 'longtask', (entry) => {
+            this.metrics.longTaskCount += 1;
+            this.checkBudget('longTasks', this.metrics.longTaskCount, this.budgets.longTasks);
+            if (!useFrames) {
+                this.recordLongTask(entry);
+            }
+        });
+        const frameObserver = useFrames ? this.observeEntries('loaf', 'long-animation-frame', (entry) => {
+            this.recordLongTask(entry);
+        }) : null;
+
+        if (taskObserver || frameObserver) {
+            this.utils.setExecutionTracking(true);
+            this.scope.onCleanup(() => this.utils.setExecutionTracking(false));
+        }
+    }
+
+    recordLongTask(entry) {
+        const longTasks = this.metrics.longTasks;
+        const record = {
+            startTime: entry.startTime,
+            duration: entry.duration,
+            blockingDuration: entry.blockingDuration ?? Math.max(entry.duration - 50, 0),
+            // A long animation frame that had input waiting delayed the response to it
+            blocksInput: entry.firstUIEventTimestamp > 0,
+            ...this.attributeToComponent(entry.startTime, entry.startTime + entry.duration),
+            scripts: (entry.scripts || [])
+                .slice()
+                .sort((a, b) => b.duration - a.duration)
+                .slice(0, 3)
+                .map(script => ({
+                    source: this.errorHandler.stripQuery(script.sourceURL) || null,
+                    function: script.sourceFunctionName || null,
+                    invoker: script.invoker || null,
+                    duration: script.duration
+                }))
+        };
+
+        longTasks.recent.push(record);
+        if (longTasks.recent.length > 20) {
+            longTasks.recent.shift();
+        }
+
+        const name = record.component || 'unattributed';
+        const stats = longTasks.byComponent[name] || { count: 0, totalDuration: 0, blockingInput: 0 };
+        stats.count += 1;
+        stats.totalDuration += record.duration;
+        if (record.blocksInput) {
+            stats.blockingInput += 1;
+        }
+        longTasks.byComponent[name] = stats;
+
+        if (record.blocksInput && record.component && stats.blockingInput === 1) {
+            this.reportInputBlocking(record);
+        }
+    }
+
+    // The component whose tracked callbacks covered most of [start, end]; label is the busiest callback
+    attributeToComponent(start, end) {
+        const totals = {};
+        let busiest = null;
+        this.utils.getExecutionSpans(start, end).forEach(span => {
+            const overlap = Math.min(span.end, end) - Math.max(span.start, start);
+            const name = span.component || span.label;
+            totals[name] = (totals[name] || 0) + overlap;
+            if (!busiest || overlap > busiest.overlap) {
+                busiest = { label: span.label, overlap };
             }
+        });
+        const component = Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0] || null;
+        return { component, label: busiest?.label || null, attributedDuration: component ? totals[component] : 0 };
+    }
+
+    // Logged once per component; on a low-end phone this is what users feel as an unresponsive page
+    reportInputBlocking(record) {
+        const lowEndDevice = this.metrics.longTasks.lowEndDevice;
+        this.errorHandler.logCustomError(
+            `${record.component} blocked input for ${Math.round(record.duration)}ms`,
+            {
+                component: record.component,
+                label: record.label,
+                duration: record.duration,
+                blockingDuration: record.blockingDuration,
+                scripts: record.scripts,
+                lowEndDevice
+            },
+            { severity: lowEndDevice ? 'warn' : 'info', category: 'performance' }
+        );
+    }
+
+    // Few cores or little memory; deviceMemory is only reported by Chromium browsers
+    isLowEndDevice() {
+        return (navigator.hardwareConcurrency || 8) <= 4 || (navigator.deviceMemory || 8) <= 2;
+    }
+
+    // ===== PERFORMANCE BUDGETS =====
+
+    // Merge overrides into the budgets and re-check everything measured so far, e.g.
+    // setBudgets({ resources: { style: { bytes: 40 * 1024 } }, vitals: { lcp: 2000 } })
+    setBudgets(overrides = {}) {
+        const { resources = {}, vitals = {}, ...limits } = overrides;
+        Object.entries(resources).forEach(([type, budget]) => {
+            this.budgets.resources[type] = { ...this.budgets.resources[type], ...budget };
+        });
+        Object.assign(this.budgets.vitals, vitals);
+        Object.assign(this.budgets, limits);
+        this.evaluateBudgets();
+    }
+
+    evaluateBudgets() {
+        this.metrics.resourceLoadTimes.forEach((timing, url) => this.checkResourceBudgets(url, timing));
+        this.checkBudget('totalBytes', this.metrics.totalTransferSize, this.budgets.totalBytes);
+        this.checkBudget('longTasks', this.metrics.longTaskCount, this.budgets.longTasks);
+        this.checkBudget('vitals.lcp', this.metrics.largestContentfulPaint, this.budgets.vitals.lcp);
+        this.checkBudget('vitals.inp', this.metrics.interactionToNextPaint, this.budgets.vitals.inp);
+        this.checkBudget('vitals.cls', this.metrics.cumulativeLayoutShift, this.budgets.vitals.cls);
+    }
+
+    checkResourceBudgets(url, timing) {
+        const budget = this.budgets.resources[timing.type] || this.budgets.resources.other || {};
+        this.checkBudget(`${timing.type}.bytes`, timing.encodedSize, budget.bytes, url);
+        this.checkBudget(`${timing.type}.duration`, timing.loadTime, budget.duration, url);
+    }
+
+    // The first time a budget (or, for resource budgets, a given resource) goes over, it is logged; after that the
+    // violation in the summary only tracks the worst value seen
+    checkBudget(budget, actual, limit, resource = null) {
+        if (typeof limit !== 'number' || !(actual > limit)) {
+            return;
+        }
+
+        const key = resource ? `${budget}|${resource}` : budget;
+        const existing = this.budgetViolations.get(key);
+        if (existing) {
+            existing.actual = Math.max(existing.actual, actual);
+            existing.limit = limit;
+            return;
+        }
+
+        const violation = { budget, limit, actual, resource, detectedAt: new Date().toISOString() };
+        this.budgetViolations.set(key, violation);
+        const subject = resource ? ` (${this.errorHandler.stripQuery(resource)})` : '';
+        this.errorHandler.logCustomError(
+            `Performance budget exceeded: ${budget} is ${this.formatBudgetValue(budget, actual)}, ` +
+            `budget ${this.formatBudgetValue(budget, limit)}${subject}`,
+            { ...violation },
+            { severity: 'warn', category: 'performance' }
+        );
+    }
+
+    formatBudgetValue(budget, value) {
+        if (/bytes$/i.test(budget)) {
+            return `${(value / 1024).toFixed(1)} KB`;
+        }
+        if (budget === 'vitals.cls') {
+            return value.toFixed(3);
+        }
+        if (budget === 'longTasks') {
+            return `${value} tasks`;
         }
+        return `${Math.round(value)}ms`;
+    }
+
+    // e.g. { withinBudget: false, totalBytes: 412345, longTasks: 3, violations: [{ budget: 'style.bytes', ... }] }
+    getBudgetSummary() {
+        return {
+            withinBudget: this.budgetViolations.size === 0,
+            totalBytes: this.metrics.totalTransferSize,
+            longTasks: this.metrics.longTaskCount,
+            violations: [...this.budgetViolations.values()].map(violation => ({ ...violation }))
+        };
     }
 
     // Memory Usage Monitoring
     setupMemoryMonitoring() {
-        if ('memory' in performance) {
+        if (this.utils.supportsFeature('memoryInfo')) {
             const updateMemoryUsage = () => {
                 this.metrics.memoryUsage = {
                     used: performance.memory.usedJSHeapSize,
@@ -167,13 +521,13 @@ class PerformanceOptimizer {
             };
 
             updateMemoryUsage();
-            setInterval(updateMemoryUsage, 30000); // Check every 30 seconds
+            this.scope.scheduleTask(updateMemoryUsage, { interval: 30000, priority: 'background' }); // Every 30 seconds
         }
     }
 
     // Network Information Monitoring
     setupNetworkMonitoring() {
-        if ('connection' in navigator) {
+        if (this.utils.supportsFeature('networkInformation')) {
             this.metrics.networkInfo = {
                 effectiveType: navigator.connection.effectiveType,
                 downlink: navigator.connection.downlink,
@@ -181,7 +535,7 @@ class PerformanceOptimizer {
                 saveData: navigator.connection.saveData
             };
 
-            navigator.connection.addEventListener('change', () => {
+            this.scope.addEventListener(navigator.connection, 'change', () => {
                 this.metrics.networkInfo.effectiveType = navigator.connection.effectiveType;
                 this.metrics.networkInfo.downlink = navigator.connection.downlink;
                 this.metrics.networkInfo.rtt = navigator.connection.rtt;
@@ -194,8 +548,28 @@ class PerformanceOptimizer {
 
     // Lazy Loading Implementation
     initLazyLoading() {
+        // Loaders whose loads failed get another go once the connection is back
+        this.scope.on('network:changed', ({ online }) => {
+            if (online) {
+                this.lazyComponents.forEach(element => {
+                    if (element.getAttribute('data-lazy-state') === 'error') {
+                        this.loadLazyComponent(element);
+                    }
+                });
+            }
+        });
+
+        if (!this.utils.supportsFeature('intersectionObserver')) {
+            // Nothing can be deferred: images keep their data-src, components load right away
+            document.querySelectorAll('[data-lazy-component]').forEach(element => {
+                this.lazyComponents.add(element);
+                this.loadLazyComponent(element);
+            });
+            return;
+        }
+
         // Intersection Observer for lazy loading
-        this.intersectionObserver = new IntersectionObserver((entries) => {
+        this.intersectionObserver = this.scope.observe(new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     this.loadLazyElement(entry.target);
@@ -205,7 +579,7 @@ class PerformanceOptimizer {
         }, {
             rootMargin: '50px 0px',
             threshold: 0.1
-        });
+        }));
 
         // Find and setup lazy images
         this.setupLazyImages();
@@ -251,21 +625,118 @@ class PerformanceOptimizer {
         }
     }
 
-    loadLazyComponent(element) {
-        const componentType = element.getAttribute('data-lazy-component');
-        
-        switch (componentType) {
-            case 'stats-animation':
-                this.initStatsAnimation(element);
-                break;
-            case 'activity-feed':
-                this.initActivityFeed(element);
-                break;
-            default:
-                console.warn(`Unknown lazy component: ${componentType}`);
+    // ===== LAZY COMPONENTS =====
+
+    // Register the loader for elements marked data-lazy-component="<name>". loader(element) returns, or resolves to,
+    // a mount(ctx) function or a module exporting one as mount or default, so it can be a dynamic import():
+    //   registerLazyComponent('map', () => import('./map.js'), { name: 'Map', slot: '#map' })
+    // definition is passed on to PocketGNUComponents.register ({ name, slot, errorBudget }); name defaults to the
+    // lazy name. Elements that came into view before their loader was registered load now.
+    registerLazyComponent(name, loader, definition = {}) {
+        if (this.lazyLoaders.has(name)) {
+            console.warn(`Lazy component "${name}" is already registered`);
+            return;
+        }
+        this.lazyLoaders.set(name, {
+            loader,
+            definition: { name, ...definition },
+            retry: { ...this.lazyRetryPolicy, ...definition.retry }
+        });
+
+        this.lazyComponents.forEach(element => {
+            const isWaiting = element.getAttribute('data-lazy-state') === 'waiting';
+            if (isWaiting && element.getAttribute('data-lazy-component') === name) {
+                this.loadLazyComponent(element);
+            }
+        });
+    }
+
+    // State is exposed as data-lazy-state: waiting (no loader yet) | loading | loaded | error
+    async loadLazyComponent(element) {
+        const name = element.getAttribute('data-lazy-component');
+        const state = element.getAttribute('data-lazy-state');
+        if (state === 'loading' || state === 'loaded') {
+            return false;
+        }
+
+        const entry = this.lazyLoaders.get(name);
+        if (!entry) {
+            this.setLazyState(element, 'waiting');
+            return false;
+        }
+
+        this.setLazyState(element, 'loading');
+        try {
+            const mount = await this.utils.retry(
+                () => this.resolveLazyMount(entry, element),
+                entry.retry,
+                `Lazy component ${name}`
+            );
+            // Mount failures are logged by the component registry's error boundary; only the state is ours to set
+            const isMounted = this.mountLazyComponent(entry, mount);
+            this.setLazyState(element, isMounted ? 'loaded' : 'error');
+            return isMounted;
+        } catch (error) {
+            this.errorHandler.logCustomError(`Failed to load lazy component ${name}: ${error.message}`, {
+                component: entry.definition.name,
+                error: error.message,
+                stack: error.stack
+            }, { severity: 'error', category: this.utils.isOffline() ? 'network' : 'ui' });
+            this.setLazyState(element, 'error');
+            return false;
         }
-        
-        element.removeAttribute('data-lazy-component');
+    }
+
+    mountLazyComponent(entry, mount) {
+        const components = window.PocketGNUComponents;
+        const name = entry.definition.name;
+        const component = components.get(name);
+        if (!component) {
+            components.register(name, { ...entry.definition, mount });
+            return components.mount(name);
+        }
+        if (component.status === 'healthy' || component.status === 'degraded') {
+            return true; // The registry's own Retry already brought it back
+        }
+        return components.restart(name); // Restores the slot markup a crashed mount replaced
+    }
+
+    async resolveLazyMount(entry, element) {
+        const loaded = await entry.loader(element);
+        const exported = loaded?.default && !loaded.mount ? loaded.default : loaded;
+        const mount = typeof exported === 'function' ? exported : exported?.mount;
+        if (typeof mount !== 'function') {
+            throw new Error(`Loader for ${entry.definition.name} did not provide a mount function`);
+        }
+        return mount;
+    }
+
+    setLazyState(element, state) {
+        element.setAttribute('data-lazy-state', state);
+        element.setAttribute('aria-busy', String(state === 'loading'));
+        element.querySelector('.lazy-component-error')?.remove();
+        if (state === 'error') {
+            this.renderLazyError(element);
+        }
+    }
+
+    // Same look as the component registry's fallback, added below whatever the element already shows. When the
+    // element is the component's slot and its mount crashed, the registry's fallback and Retry are already there.
+    renderLazyError(element) {
+        if (element.querySelector('.component-fallback')) {
+            return;
+        }
+        const notice = document.createElement('div');
+        notice.className = 'component-fallback lazy-component-error';
+        notice.setAttribute('role', 'status');
+        notice.innerHTML = `
+            <span class="component-fallback-message">This section could not be loaded.</span>
+            <button type="button" class="component-fallback-retry">Retry</button>
+        `;
+        element.appendChild(notice);
+        this.scope.addEventListener(notice.querySelector('.component-fallback-retry'), 'click', () => {
+            this.loadLazyComponent(element);
+        }, { once: true });
     }
 
     // Font Optimization
@@ -320,18 +791,6 @@ class PerformanceOptimizer {
         }
     }
 
-    // Initialize stats animation (placeholder)
-    initStatsAnimation(element) {
-        // Implement stats animation initialization here
-        console.log('Initializing stats animation for', element);
-    }
-
-    // Initialize activity feed (placeholder)
-    initActivityFeed(element) {
-        // Implement activity feed initialization here
-        console.log('Initializing activity feed for', element);
-    }
-
     // Get resource type from URL
     getResourceType(url) {
         if (typeof url !== 'string') return 'unknown';
@@ -348,17 +807,17 @@ class PerformanceOptimizer {
     getMetrics() {
         return {
             ...this.metrics,
-            resourceLoadTimes: Object.fromEntries(this.metrics.resourceLoadTimes)
+            resourceLoadTimes: Object.fromEntries(this.metrics.resourceLoadTimes),
+            budgets: this.getBudgetSummary()
         };
     }
 
-    // Cleanup observers
+    // Stop all monitoring: observers, listeners and the memory interval
     cleanup() {
-        this.observers.forEach(observer => observer.disconnect());
+        this.scope?.dispose();
+        this.scope = null;
         this.observers.clear();
-        if (this.intersectionObserver) {
-            this.intersectionObserver.disconnect();
-        }
+        this.intersectionObserver = null;
     }
 }
 
@@ -0,0 +1,208 @@
+// Real User Monitoring for PocketGNU - sends a compact performance report when the page is hidden
+//
+// One report per hide (a page shown again and hidden later reports again, with the same page view id and a higher
+// seq). Nothing is sent until an endpoint or custom transport is configured, and only for sampled page views.
+class RumReporter {
+    constructor(options = {}) {
+        this.utils = window.PocketGNUUtils;
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.endpoint = null; // Disabled until an endpoint or custom transport is configured
+        this.transport = 'beacon';
+        this.sampleRate = 1; // Share of page views reported
+        this.resourceSampleRate = 0.1; // Share of resource timings included in a report
+        this.maxResources = 30;
+        this.payloadVersion = 1;
+
+        // Rolled once, so changing sampleRate later still gives a consistent answer for this page view
+        this.sampleRoll = Math.random();
+        this.pageViewId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.sequence = 0;
+        this.lastSignature = null;
+
+        // Built-in transports: each takes (payload, config) and returns a promise
+        this.transports = new Map();
+        this.registerTransport('beacon', (payload, config) => this.sendWithBeacon(payload, config));
+        this.registerTransport('http', (payload, config) => this.sendWithFetch(payload, config));
+
+        this.configure(options);
+        this.init();
+    }
+
+    init() {
+        // Hidden is the last moment a page is reliably alive: it may be frozen or discarded without unloading
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.report();
+            }
+        });
+        window.addEventListener('pagehide', () => this.report());
+    }
+
+    // e.g. configure({ endpoint: 'http://localhost:9100/rum', sampleRate: 0.25, resourceSampleRate: 0.5 })
+    configure(options = {}) {
+        const keys = ['endpoint', 'transport', 'sampleRate', 'resourceSampleRate', 'maxResources'];
+        keys.forEach(key => {
+            if (key in options) {
+                this[key] = options[key];
+            }
+        });
+    }
+
+    // Register a named transport: handler(payload, { endpoint }) must return a promise
+    registerTransport(name, handler) {
+        if (typeof handler !== 'function') {
+            console.warn(`RUM transport "${name}" must be a function`);
+            return;
+        }
+        this.transports.set(name, handler);
+    }
+
+    isEnabled() {
+        return Boolean(this.endpoint) || typeof this.transport === 'function';
+    }
+
+    isSampled() {
+        return this.sampleRoll < this.sampleRate;
+    }
+
+    getTransportHandler() {
+        if (typeof this.transport === 'function') {
+            return this.transport;
+        }
+        return this.transports.get(this.transport) || this.transports.get('beacon');
+    }
+
+    // Send the current report unless it is identical to the last one sent (visibilitychange and pagehide usually
+    // fire together). Returns false when nothing was sent.
+    report() {
+        const optimizer = window.PocketGNUPerformanceOptimizer;
+        if (!this.isEnabled() || !this.isSampled() || !optimizer) {
+            return false;
+        }
+
+        const payload = this.buildPayload(optimizer.getMetrics());
+        const signature = JSON.stringify({ ...payload, seq: null, sentAt: null, resources: null });
+        if (signature === this.lastSignature) {
+            return false;
+        }
+        this.lastSignature = signature;
+        this.sequence += 1;
+        payload.seq = this.sequence;
+
+        // Reporting failures stay in the console: an error logged now would only be persisted for the next visit
+        Promise.resolve()
+            .then(() => this.getTransportHandler()(payload, { endpoint: this.endpoint }))
+            .catch(error => console.warn('RUM report was not sent:', error));
+        return true;
+    }
+
+    // ===== PAYLOAD =====
+
+    // Short keys and rounded numbers keep the report well under the ~64 KB beacon limit
+    buildPayload(metrics) {
+        const navigation = performance.getEntriesByType?.('navigation')[0];
+        const attribution = metrics.attribution || {};
+        const longTasks = metrics.longTasks || { byComponent: {} };
+
+        return {
+            v: this.payloadVersion,
+            id: this.pageViewId,
+            seq: 0,
+            sentAt: Date.now(),
+            page: this.errorHandler.stripQuery(window.location.href),
+            vitals: {
+                lcp: this.round(metrics.largestContentfulPaint),
+                inp: this.round(metrics.interactionToNextPaint),
+                cls: this.round(metrics.cumulativeLayoutShift, 4),
+                ttfb: this.round(metrics.timeToFirstByte),
+                fcp: this.round(metrics.firstContentfulPaint)
+            },
+            attribution: {
+                lcp: attribution.lcp?.element || null,
+                inp: attribution.inp ? {
+                    target: attribution.inp.target,
+                    type: attribution.inp.type,
+                    inputDelay: this.round(attribution.inp.inputDelay),
+                    processing: this.round(attribution.inp.processingDuration),
+                    presentation: this.round(attribution.inp.presentationDelay)
+                } : null,
+                cls: attribution.cls?.element || null
+            },
+            navigation: navigation ? {
+                type: navigation.type,
+                domContentLoaded: this.round(metrics.domContentLoaded),
+                load: this.round(metrics.loadTime),
+                transferSize: navigation.transferSize || 0
+            } : null,
+            network: metrics.networkInfo ? { ...metrics.networkInfo } : null,
+            device: {
+                memory: navigator.deviceMemory ?? null,
+                cores: navigator.hardwareConcurrency ?? null,
+                lowEnd: Boolean(longTasks.lowEndDevice)
+            },
+            longTasks: {
+                count: metrics.longTaskCount || 0,
+                byComponent: Object.fromEntries(Object.entries(longTasks.byComponent).map(([name, stats]) => [
+                    name, { count: stats.count, total: this.round(stats.totalDuration), input: stats.blockingInput }
+                ]))
+            },
+            budgetViolations: (metrics.budgets?.violations || []).map(violation => violation.budget),
+            resources: this.sampleResources(metrics.resourceLoadTimes || {})
+        };
+    }
+
+    sampleResources(resourceLoadTimes) {
+        return Object.entries(resourceLoadTimes)
+            .filter(() => Math.random() < this.resourceSampleRate)
+            .slice(0, this.maxResources)
+            .map(([url, timing]) => ({
+                url: this.errorHandler.stripQuery(url),
+                type: timing.type,
+                duration: this.round(timing.loadTime),
+                size: timing.size
+            }));
+    }
+
+    round(value, digits = 0) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return null;
+        }
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    // ===== TRANSPORTS =====
+
+    // text/plain keeps the beacon a CORS "simple" request, so a collector on another origin needs no preflight
+    async sendWithBeacon(payload, config) {
+        if (!this.utils.supportsFeature('beacon')) {
+            return this.sendWithFetch(payload, config);
+        }
+        const blob = new Blob([JSON.stringify(payload)], { type: 'text/plain;charset=UTF-8' });
+        if (!navigator.sendBeacon(config.endpoint, blob)) {
+            throw new Error('Beacon was not queued by the browser');
+        }
+        return true;
+    }
+
+    async sendWithFetch(payload, config) {
+        const response = await fetch(config.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body: JSON.stringify(payload),
+            keepalive: true // Lets the request outlive the page, like a beacon
+        });
+        if (!response.ok) {
+            throw new Error(`RUM collector responded with ${response.status}`);
+        }
+        return response;
+    }
+}
+
+// Create global RUM reporter instance
+window.PocketGNURum = new RumReporter();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RumReporter;
+}
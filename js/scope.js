@@ -0,0 +1,340 @@
+// Disposable Scopes for PocketGNU - listeners, timers, observers and animation frames released together
+//
+// Everything registered through a scope is tracked and torn down by dispose(). Callbacks are wrapped so their errors
+// are logged (or handed to onError) and they become no-ops once the scope is disposed. In debug mode, a scope that is
+// garbage collected without being disposed is reported along with the resources it still held.
+class DisposableScope {
+    // options: { onError(error, source), context: merged into logged errors, e.g. { component: 'Activity Feed' } }
+    constructor(name, options = {}) {
+        this.name = name;
+        // Everything callbacks and cleanups need lives in state, never on the scope itself: a running interval
+        // that referenced the scope would keep an abandoned scope alive, and its leak could never be detected
+        this.state = {
+            name,
+            onError: options.onError || null,
+            context: options.context || {},
+            disposed: false,
+            createdAt: Date.now(),
+            createdStack: null,
+            timeouts: new Set(),
+            intervals: new Set(),
+            frames: new Set(),
+            cleanups: new Set() // { kind: 'task' | 'listener' | 'observer' | 'child' | 'cleanup', run }
+        };
+    }
+
+    get isDisposed() {
+        return this.state.disposed;
+    }
+
+    // ===== TIMERS =====
+
+    setTimeout(callback, delay) {
+        const { state } = this;
+        if (state.disposed) {
+            return null;
+        }
+        const id = setTimeout(() => {
+            state.timeouts.delete(id);
+            DisposableScope.guard(state, callback, 'timeout')();
+        }, delay);
+        state.timeouts.add(id);
+        return id;
+    }
+
+    clearTimeout(id) {
+        clearTimeout(id);
+        this.state.timeouts.delete(id);
+    }
+
+    setInterval(callback, interval) {
+        const { state } = this;
+        if (state.disposed) {
+            return null;
+        }
+        const id = setInterval(DisposableScope.guard(state, callback, 'interval'), interval);
+        state.intervals.add(id);
+        return id;
+    }
+
+    clearInterval(id) {
+        clearInterval(id);
+        this.state.intervals.delete(id);
+    }
+
+    requestAnimationFrame(callback) {
+        const { state } = this;
+        if (state.disposed) {
+            return null;
+        }
+        const id = requestAnimationFrame((time) => {
+            state.frames.delete(id);
+            DisposableScope.guard(state, callback, 'animation frame')(time);
+        });
+        state.frames.add(id);
+        return id;
+    }
+
+    cancelAnimationFrame(id) {
+        cancelAnimationFrame(id);
+        this.state.frames.delete(id);
+    }
+
+    // Run on the shared scheduler (see utils.scheduleTask); cancelled on dispose
+    scheduleTask(callback, options = {}) {
+        const { state } = this;
+        if (state.disposed) {
+            return null;
+        }
+        const guarded = DisposableScope.guard(state, callback, 'task');
+        let untrack = null;
+        const task = window.PocketGNUUtils.scheduleTask((info) => {
+            if (!options.interval) {
+                untrack(false); // One-shot tasks are done once they run
+            }
+            guarded(info);
+        }, { name: state.name, context: state.context, ...options });
+        untrack = this.track('task', () => task.cancel());
+        return { id: task.id, cancel: () => untrack() };
+    }
+
+    // ===== LISTENERS, OBSERVERS & CLEANUPS =====
+
+    // Returns a function that removes the listener early, or null if target is missing or the scope is disposed
+    addEventListener(target, event, handler, options) {
+        if (!target || this.state.disposed) {
+            return null;
+        }
+        const guarded = DisposableScope.guard(this.state, handler, `${event} handler`);
+        const remove = window.PocketGNUUtils.safeAddEventListener(target, event, guarded, options);
+        return remove ? this.track('listener', remove) : null;
+    }
+
+    // Event bus subscription (see eventBus.js); returns a function that unsubscribes early
+    on(topic, handler, options) {
+        if (this.state.disposed) {
+            return null;
+        }
+        const guarded = DisposableScope.guard(this.state, handler, `${topic} subscriber`);
+        return this.track('listener', window.PocketGNUEvents.on(topic, guarded, options));
+    }
+
+    // Observers (Intersection, Mutation, Performance...) are disconnected on dispose
+    observe(observer) {
+        this.track('observer', () => observer.disconnect());
+        return observer;
+    }
+
+    // Wrap a callback handed to third-party code so its errors are reported like the scope's own callbacks
+    guard(callback) {
+        return DisposableScope.guard(this.state, callback, 'callback');
+    }
+
+    // Returns a function that runs the cleanup early
+    onCleanup(cleanup) {
+        return this.track('cleanup', cleanup);
+    }
+
+    // A child scope is disposed with its parent, or on its own before that
+    createChild(name, options = {}) {
+        const child = window.PocketGNUScopes.create(name, {
+            onError: this.state.onError,
+            context: this.state.context,
+            ...options
+        });
+        const untrack = this.track('child', () => child.dispose());
+        child.onCleanup(() => untrack(false));
+        return child;
+    }
+
+    // Register a release function; the returned function releases early (pass false to only forget it)
+    track(kind, run) {
+        const { state } = this;
+        if (state.disposed) {
+            DisposableScope.runCleanup(state, run);
+            return () => {};
+        }
+        const entry = { kind, run };
+        state.cleanups.add(entry);
+        return (release = true) => {
+            if (state.cleanups.delete(entry) && release) {
+                DisposableScope.runCleanup(state, run);
+            }
+        };
+    }
+
+    // ===== DISPOSAL =====
+
+    dispose() {
+        if (this.state.disposed) {
+            return;
+        }
+        DisposableScope.release(this.state);
+        window.PocketGNUScopes.forget(this);
+    }
+
+    // Counts of what the scope still holds, e.g. { timeouts: 0, intervals: 1, frames: 0, listeners: 3, ... }
+    getResources() {
+        return DisposableScope.countResources(this.state);
+    }
+
+    static countResources(state) {
+        const resources = {
+            timeouts: state.timeouts.size,
+            intervals: state.intervals.size,
+            frames: state.frames.size,
+            tasks: 0,
+            listeners: 0,
+            observers: 0,
+            children: 0,
+            cleanups: 0
+        };
+        const keys = {
+            task: 'tasks',
+            listener: 'listeners',
+            observer: 'observers',
+            child: 'children',
+            cleanup: 'cleanups'
+        };
+        state.cleanups.forEach(entry => {
+            resources[keys[entry.kind]] += 1;
+        });
+        return resources;
+    }
+
+    static release(state) {
+        state.disposed = true;
+        state.timeouts.forEach(id => clearTimeout(id));
+        state.intervals.forEach(id => clearInterval(id));
+        state.frames.forEach(id => cancelAnimationFrame(id));
+        state.timeouts.clear();
+        state.intervals.clear();
+        state.frames.clear();
+
+        // Last registered, first released
+        const cleanups = [...state.cleanups].reverse();
+        state.cleanups.clear();
+        cleanups.forEach(entry => DisposableScope.runCleanup(state, entry.run));
+    }
+
+    static runCleanup(state, run) {
+        try {
+            run();
+        } catch (error) {
+            console.warn(`Cleanup failed for ${state.name}:`, error);
+        }
+    }
+
+    static guard(state, callback, source) {
+        return (...args) => {
+            if (state.disposed) {
+                return null;
+            }
+            try {
+                const label = `${state.name} ${source}`;
+                return window.PocketGNUUtils.trackExecution(label, state.context, () => callback(...args));
+            } catch (error) {
+                DisposableScope.reportError(state, error, source);
+                return null;
+            }
+        };
+    }
+
+    static reportError(state, error, source) {
+        if (state.onError) {
+            state.onError(error, source);
+            return;
+        }
+        window.PocketGNUErrorHandler?.logCustomError(`${state.name} ${source} error: ${error.message}`, {
+            ...state.context,
+            scope: state.name,
+            error: error.message,
+            stack: error.stack
+        }, { severity: 'error', category: 'async' });
+    }
+}
+
+// Creates scopes and, in debug mode, reports the ones that leak
+class ScopeManager {
+    constructor() {
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.storage = window.PocketGNUStorage;
+        this.storage.define('debug.scopes', { type: 'boolean', default: false });
+
+        this.live = new Set(); // States of undisposed scopes, for getActiveScopes()
+        this.debug = false;
+        this.registry = null;
+        this.setDebug(this.storage.get('debug.scopes'), { persist: false });
+    }
+
+    create(name, options = {}) {
+        const scope = new DisposableScope(name, options);
+        this.live.add(scope.state);
+        if (this.registry) {
+            scope.state.createdStack = new Error(`Scope "${name}" created`).stack;
+            this.registry.register(scope, scope.state, scope.state);
+        }
+        return scope;
+    }
+
+    forget(scope) {
+        this.live.delete(scope.state);
+        this.registry?.unregister(scope.state);
+    }
+
+    // Debug mode only tracks scopes created after it is switched on; it is remembered across reloads
+    setDebug(enabled, { persist = true } = {}) {
+        this.debug = Boolean(enabled);
+        if (persist) {
+            this.storage.set('debug.scopes', this.debug);
+        }
+
+        if (!this.debug) {
+            this.registry = null;
+            return;
+        }
+        if (typeof FinalizationRegistry === 'undefined') {
+            console.warn('Scope leak detection needs FinalizationRegistry, which this browser does not support');
+            return;
+        }
+        this.registry = new FinalizationRegistry(state => this.reportLeak(state));
+    }
+
+    // The scope object is gone, so nothing can dispose its resources any more: report them, then release them
+    reportLeak(state) {
+        this.live.delete(state);
+        if (state.disposed) {
+            return;
+        }
+
+        const resources = DisposableScope.countResources(state);
+        const held = Object.keys(resources).filter(kind => resources[kind] > 0);
+        if (held.length > 0) {
+            this.errorHandler?.logCustomError(`Scope "${state.name}" was garbage collected without dispose()`, {
+                ...state.context,
+                scope: state.name,
+                resources,
+                aliveMs: Date.now() - state.createdAt,
+                stack: state.createdStack
+            }, { severity: 'warn', category: 'async' });
+        }
+        DisposableScope.release(state);
+    }
+
+    // e.g. [{ name: 'Activity Feed', resources: { intervals: 1, ... }, aliveMs: 5230 }]
+    getActiveScopes() {
+        return [...this.live].map(state => ({
+            name: state.name,
+            resources: DisposableScope.countResources(state),
+            aliveMs: Date.now() - state.createdAt
+        }));
+    }
+}
+
+// Create global scope manager instance
+window.PocketGNUScopes = new ScopeManager();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DisposableScope, ScopeManager };
+}
@@ -3,48 +3,48 @@ document.addEventListener('DOMContentLoaded', function() {
     const utils = window.PocketGNUUtils;
     const errorHandler = window.PocketGNUErrorHandler;
     
-    if (!utils || !errorHandler) {
-        console.error('Required utilities not loaded. Please ensure errorHandler.js and utils.js are loaded first.');
+    if (!utils || !errorHandler || !window.PocketGNUComponents) {
+        console.error('Required utilities not loaded. Please ensure errorHandler.js, utils.js and ' +
+            'componentRegistry.js are loaded first.');
         return;
     }
 
     // Initialize offline detection UI
     utils.initOfflineDetection();
 
-    // Initialize all components with enhanced error handling
-    const initComponents = [
-        { name: 'Countdown', func: initCountdown },
-        { name: 'Terminal Animation', func: initTerminalAnimation },
-        { name: 'Smooth Scrolling', func: initSmoothScrolling },
-        { name: 'Activity Feed', func: initActivityFeed },
-        { name: 'Stats Animation', func: initStatsAnimation }
+    // Register page components with the lifecycle registry. Each mount function receives a ctx that owns
+    // its timers and listeners; slot is where the error boundary renders a fallback with a Retry button.
+    const components = window.PocketGNUComponents;
+    const componentDefinitions = [
+        { name: 'Countdown', mount: initCountdown, slot: '#countdown-timer' },
+        { name: 'Terminal Animation', mount: initTerminalAnimation, slot: '#terminal .terminal-body' },
+        { name: 'Smooth Scrolling', mount: initSmoothScrolling },
+        {
+            name: 'Activity Feed',
+            lazy: 'activity-feed',
+            mount: initActivityFeed,
+            slot: '#activity-feed',
+            errorBudget: { threshold: 3, windowMs: 30000 }
+        },
+        { name: 'Stats Animation', lazy: 'stats-animation', mount: initStatsAnimation, slot: '#stats-grid' },
+        { name: 'Signup Forms', mount: initSignupForms }
     ];
 
-    initComponents.forEach(component => {
-        try {
-            utils.measurePerformance(component.name, component.func);
-            console.log(`✅ ${component.name} initialized successfully`);
-        } catch(error) {
-            errorHandler.logCustomError(`Failed to initialize ${component.name}`, {
-                component: component.name,
-                error: error.message,
-                stack: error.stack
-            });
+    // Lazy components mount when their data-lazy-component element nears the viewport
+    const optimizer = window.PocketGNUPerformanceOptimizer;
+    componentDefinitions.forEach(definition => {
+        if (definition.lazy && optimizer) {
+            optimizer.registerLazyComponent(definition.lazy, () => definition.mount, definition);
+        } else {
+            components.register(definition.name, definition);
         }
     });
+    components.mountAll();
 
-    // Example usage of safeAsyncRetry for a demo async operation
-    async function demoAsyncOperation() {
-        // Simulate a network call with 50% chance of failure
-        if (Math.random() < 0.5) {
-            throw new Error('Simulated network error');
-        }
-        return 'Data loaded successfully';
-    }
-
-    utils.safeAsyncRetry(demoAsyncOperation, 3, 1000, 'Demo API Call')
-        .then(data => console.log(data))
-        .catch(error => errorHandler.logCustomError('Final failure in demoAsyncOperation', { error: error.message }));
+    // Connectivity check through the HTTP client: retried with backoff, logged and breadcrumbed on failure
+    utils.httpRequest('index.html', { method: 'HEAD', responseType: 'response', timeout: 5000, context: 'Origin' })
+        .then(() => console.log('✅ Origin reachable'))
+        .catch(() => {}); // Failures are already logged by the HTTP client
 
     // Initialize Phase 4: Advanced UX features
     if (window.AdvancedUX && typeof window.AdvancedUX.init === 'function') {
@@ -74,6 +74,18 @@ document.addEventListener('DOMContentLoaded', function() {
                 });
             }
 
+            // Diagnostics panel: settings button and Ctrl+Shift+D
+            if (window.PocketGNUDiagnostics) {
+                const diagnosticsBtn = utils.safeQuerySelector('#open-diagnostics');
+                if (diagnosticsBtn) {
+                    utils.safeAddEventListener(diagnosticsBtn, 'click', () => {
+                        window.AdvancedUX.closePersonalizationModal();
+                        window.PocketGNUDiagnostics.open();
+                    });
+                }
+                window.AdvancedUX.registerKeyboardShortcut('ctrl+shift+d', () => window.PocketGNUDiagnostics.toggle());
+            }
+
             // Add settings button to header navigation
             const nav = utils.safeQuerySelector('.nav');
             if (nav) {
@@ -105,7 +117,7 @@ document.addEventListener('DOMContentLoaded', function() {
             errorHandler.logCustomError('Failed to initialize Advanced UX features', {
                 error: error.message,
                 stack: error.stack
-            });
+            }, { severity: 'error', category: 'ui' });
         }
     } else {
         console.warn('⚠️ Advanced UX features not available');
@@ -113,22 +125,26 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 // Countdown Timer Functionality - Enhanced
-function initCountdown() {
+function initCountdown(ctx) {
     const utils = window.PocketGNUUtils;
     const errorHandler = window.PocketGNUErrorHandler;
     
     const countdownElement = utils.safeQuerySelector('#countdown-timer');
     if (!countdownElement) {
-        errorHandler.logCustomError('Countdown element not found', { selector: '#countdown-timer' });
-        return;
+        errorHandler.logCustomError('Countdown element not found', { selector: '#countdown-timer' }, {
+            severity: 'warn',
+            category: 'dom'
+        });
+        return null;
     }
 
-    // Get target date from localStorage or set default (24 hours from now)
-    let targetDate = utils.safeLocalStorageGet('countdown-target');
+    // Get target date from storage or set default (24 hours from now)
+    const storage = window.PocketGNUStorage;
+    let targetDate = storage.get('countdown.target');
     if (!targetDate) {
         targetDate = new Date();
         targetDate.setHours(targetDate.getHours() + 24);
-        utils.safeLocalStorageSet('countdown-target', targetDate.getTime());
+        storage.set('countdown.target', targetDate.getTime());
     } else {
         targetDate = new Date(targetDate);
     }
@@ -151,23 +167,24 @@ function initCountdown() {
         countdownElement.classList.remove('expired');
     }
 
-    // Initial update and start interval
+    // Initial update, then tick on the shared scheduler (paused while the tab is hidden)
     updateCountdown();
-    const intervalId = utils.safeSetInterval(updateCountdown, 1000);
-    
-    // Store interval ID for potential cleanup
-    window.countdownInterval = intervalId;
+    ctx.scheduleTask(updateCountdown, { interval: 1000, priority: 'user-visible' });
+    return null;
 }
 
 // Terminal Animation - Enhanced
-function initTerminalAnimation() {
+function initTerminalAnimation(ctx) {
     const utils = window.PocketGNUUtils;
     const errorHandler = window.PocketGNUErrorHandler;
     
     const commandElement = utils.safeQuerySelector('#terminal-command');
     if (!commandElement) {
-        errorHandler.logCustomError('Terminal command element not found', { selector: '#terminal-command' });
-        return;
+        errorHandler.logCustomError('Terminal command element not found', { selector: '#terminal-command' }, {
+            severity: 'warn',
+            category: 'dom'
+        });
+        return null;
     }
 
     const commands = [
@@ -182,7 +199,6 @@ function initTerminalAnimation() {
     let currentCommandIndex = 0;
     let currentCharIndex = 0;
     let isTyping = false;
-    let animationTimeouts = [];
 
     function typeCommand() {
         if (isTyping) return; // Prevent multiple animations
@@ -194,34 +210,27 @@ function initTerminalAnimation() {
             commandElement.textContent = currentCommand.substring(0, currentCharIndex + 1);
             currentCharIndex++;
             
-            const timeout = utils.safeSetTimeout(() => {
+            ctx.scheduleTask(() => {
+                isTyping = false;
                 typeCommand();
-            }, 100);
-            animationTimeouts.push(timeout);
+            }, { delay: 100, priority: 'user-visible' });
         } else {
-            const timeout = utils.safeSetTimeout(() => {
+            ctx.scheduleTask(() => {
                 currentCharIndex = 0;
                 currentCommandIndex = (currentCommandIndex + 1) % commands.length;
                 isTyping = false;
                 typeCommand();
-            }, 2000);
-            animationTimeouts.push(timeout);
+            }, { delay: 2000, priority: 'user-visible' });
         }
     }
 
-    // Start animation
+    // Start animation; pending tasks are cancelled by ctx on unmount
     typeCommand();
-    
-    // Store cleanup function for potential use
-    window.cleanupTerminalAnimation = () => {
-        animationTimeouts.forEach(timeout => clearTimeout(timeout));
-        animationTimeouts = [];
-        isTyping = false;
-    };
+    return null;
 }
 
 // Smooth Scrolling for Navigation - Enhanced
-function initSmoothScrolling() {
+function initSmoothScrolling(ctx) {
     const utils = window.PocketGNUUtils;
     const errorHandler = window.PocketGNUErrorHandler;
 
@@ -229,6 +238,9 @@ function initSmoothScrolling() {
     function smoothScrollTo(targetSelector, sourceElement = null) {
         const targetSection = utils.safeQuerySelector(targetSelector);
         if (targetSection) {
+            errorHandler.addBreadcrumb('navigation', `Scroll to ${targetSelector}`, {
+                source: sourceElement ? sourceElement.id || sourceElement.className : 'unknown'
+            });
             targetSection.scrollIntoView({ 
                 behavior: 'smooth',
                 block: 'start',
@@ -237,45 +249,40 @@ function initSmoothScrolling() {
             
             // Track scroll action for analytics
             errorHandler.logCustomError('Smooth scroll action', {
-                type: 'info',
                 target: targetSelector,
                 source: sourceElement ? sourceElement.id || sourceElement.className : 'unknown'
-            });
+            }, { severity: 'info', category: 'ui' });
         } else {
             errorHandler.logCustomError('Scroll target not found', {
                 target: targetSelector,
                 source: sourceElement ? sourceElement.id || sourceElement.className : 'unknown'
-            });
+            }, { severity: 'warn', category: 'dom' });
         }
     }
 
     // Get Started button
     const getStartedBtn = utils.safeQuerySelector('#get-started');
-    if (getStartedBtn) {
-        utils.safeAddEventListener(getStartedBtn, 'click', function(e) {
-            e.preventDefault();
-            smoothScrollTo('#choose-your-path', this);
-        });
-    }
+    ctx.addEventListener(getStartedBtn, 'click', (e) => {
+        e.preventDefault();
+        smoothScrollTo('#choose-your-path', getStartedBtn);
+    });
 
     // Learn More button
     const learnMoreBtn = utils.safeQuerySelector('#learn-more');
-    if (learnMoreBtn) {
-        utils.safeAddEventListener(learnMoreBtn, 'click', function(e) {
-            e.preventDefault();
-            smoothScrollTo('#features', this);
-        });
-    }
+    ctx.addEventListener(learnMoreBtn, 'click', (e) => {
+        e.preventDefault();
+        smoothScrollTo('#features', learnMoreBtn);
+    });
 
     // Navigation links
     const navLinks = utils.safeQuerySelectorAll('.nav-link');
     navLinks.forEach(link => {
-        utils.safeAddEventListener(link, 'click', function(e) {
+        ctx.addEventListener(link, 'click', (e) => {
             e.preventDefault();
-            const href = this.getAttribute('href');
+            const href = link.getAttribute('href');
             if (href && href.startsWith('#')) {
                 const targetId = href.substring(1);
-                smoothScrollTo(`#${targetId}`, this);
+                smoothScrollTo(`#${targetId}`, link);
             }
         });
     });
@@ -283,35 +290,36 @@ function initSmoothScrolling() {
     // Demo buttons with enhanced interaction
     const demoButtons = utils.safeQuerySelectorAll('.btn-outline');
     demoButtons.forEach(button => {
-        utils.safeAddEventListener(button, 'click', function(e) {
+        ctx.addEventListener(button, 'click', (e) => {
             e.preventDefault();
             
             // Store original text
-            const originalText = this.textContent;
+            const originalText = button.textContent;
             
             // Show loading state
-            this.textContent = 'Demo Loading...';
-            this.disabled = true;
-            this.classList.add('loading');
+            button.textContent = 'Demo Loading...';
+            button.disabled = true;
+            button.classList.add('loading');
             
-            // Simulate demo interaction with timeout cleanup
-            const timeout = utils.safeSetTimeout(() => {
-                this.textContent = originalText;
-                this.disabled = false;
-                this.classList.remove('loading');
-            }, 2000);
-            
-            // Store timeout for potential cleanup
-            this.demoTimeout = timeout;
+            // Simulate demo interaction; ctx cancels the task if the component unmounts
+            ctx.scheduleTask(() => {
+                button.textContent = originalText;
+                button.disabled = false;
+                button.classList.remove('loading');
+            }, { delay: 2000, priority: 'user-blocking' });
         });
     });
+
+    return null;
 }
 
 // Activity Feed Animation
-function initActivityFeed() {
+function initActivityFeed(ctx) {
     try {
-        const activityFeed = document.getElementById('activity-feed');
-        if (!activityFeed) return;
+        const activityFeed = ctx.slot;
+        if (!activityFeed) {
+            return null;
+        }
 
         const activities = [
             {
@@ -368,11 +376,11 @@ function initActivityFeed() {
             activityFeed.insertBefore(activityItem, activityFeed.firstChild);
 
             // Animate in
-            setTimeout(() => {
+            ctx.scheduleTask(() => {
                 activityItem.style.transition = 'all 0.3s ease';
                 activityItem.style.opacity = '1';
                 activityItem.style.transform = 'translateY(0)';
-            }, 100);
+            }, { delay: 100, priority: 'user-visible' });
 
             // Remove excess items (keep only 5)
             const items = activityFeed.querySelectorAll('.activity-item');
@@ -381,22 +389,57 @@ function initActivityFeed() {
                 lastItem.style.transition = 'all 0.3s ease';
                 lastItem.style.opacity = '0';
                 lastItem.style.transform = 'translateY(20px)';
-                setTimeout(() => {
+                ctx.scheduleTask(() => {
                     if (lastItem.parentNode) {
                         lastItem.parentNode.removeChild(lastItem);
                     }
-                }, 300);
+                }, { delay: 300, priority: 'user-visible' });
             }
         }
 
-        // Add new activity every 5 seconds
-        setInterval(addNewActivity, 5000);
-
+        // Add new activity every 5 seconds, as background work
+        ctx.scheduleTask(addNewActivity, { interval: 5000, priority: 'background' });
+        return null;
     } catch(error) {
         console.error('Activity feed initialization error:', error);
+        return null;
     }
 }
 
+// Beta access and early adopter signup forms, validated by formValidation.js
+function initSignupForms(ctx) {
+    const forms = window.PocketGNUForms;
+    const storage = window.PocketGNUStorage;
+
+    const isRegistered = (flow, email) => storage.get('signups')
+        .some(signup => signup.flow === flow && signup.email === email.toLowerCase());
+
+    function attachSignupForm(selector, flow, successMessage) {
+        const form = forms.attach(selector, {
+            fields: {
+                email: [forms.rules.custom('notRegistered', email => !isRegistered(flow, email),
+                    'This email is already on the list')]
+            },
+            onSubmit: (values, handle) => {
+                storage.set('signups', [...storage.get('signups'), {
+                    flow,
+                    email: values.email.toLowerCase(),
+                    submittedAt: new Date().toISOString()
+                }]);
+                handle.reset();
+                window.AdvancedUX?.showToast(successMessage, { type: 'success' });
+            }
+        });
+        if (form) {
+            ctx.onCleanup(() => form.destroy());
+        }
+    }
+
+    attachSignupForm('#beta-access-form', 'beta-access', 'You\'re in! Your beta invite is on its way.');
+    attachSignupForm('#early-adopter-form', 'early-adopter', 'Welcome aboard! Your early adopter perks are locked in.');
+    return null;
+}
+
 // Button Click Handlers
 document.addEventListener('click', function(e) {
     try {
@@ -417,7 +460,11 @@ document.addEventListener('click', function(e) {
         // Handle CTA buttons
         if (e.target.matches('.final-cta .btn-primary')) {
             e.preventDefault();
-            alert('Thank you for your interest! This would normally open the registration form.');
+            const signupForm = document.getElementById('early-adopter-form');
+            if (signupForm) {
+                signupForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                signupForm.querySelector('input')?.focus({ preventScroll: true });
+            }
         }
 
         // Handle run button in code editor
@@ -448,11 +495,11 @@ document.addEventListener('click', function(e) {
 });
 
 // Stats Animation on Scroll
-function initStatsAnimation() {
+function initStatsAnimation(ctx) {
     try {
         const statNumbers = document.querySelectorAll('.stat-number');
         
-        const observer = new IntersectionObserver((entries) => {
+        const observer = ctx.observe(new IntersectionObserver(ctx.guard((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const target = entry.target;
@@ -461,52 +508,49 @@ function initStatsAnimation() {
                     // Simple counter animation
                     if (finalValue.includes('K')) {
                         const numValue = parseFloat(finalValue) * 1000;
-                        animateNumber(target, 0, numValue, 2000, (val) => {
+                        animateNumber(ctx, target, 0, numValue, 2000, (val) => {
                             return val >= 1000 ? (val/1000).toFixed(1) + 'K' : val.toString();
                         });
                     } else if (finalValue.includes('+')) {
                         const numValue = parseInt(finalValue);
-                        animateNumber(target, 0, numValue, 2000, (val) => val + '+');
+                        animateNumber(ctx, target, 0, numValue, 2000, (val) => val + '+');
                     } else if (finalValue.includes('%')) {
                         const numValue = parseFloat(finalValue);
-                        animateNumber(target, 0, numValue, 2000, (val) => val.toFixed(1) + '%');
+                        animateNumber(ctx, target, 0, numValue, 2000, (val) => val.toFixed(1) + '%');
                     }
                     
                     observer.unobserve(target);
                 }
             });
-        });
+        })));
 
         statNumbers.forEach(stat => observer.observe(stat));
-
+        return null;
     } catch(error) {
         console.error('Stats animation error:', error);
+        return null;
     }
 }
 
-function animateNumber(element, start, end, duration, formatter) {
+function animateNumber(ctx, element, start, end, duration, formatter) {
     const startTime = performance.now();
     
-    function update(currentTime) {
-        const elapsed = currentTime - startTime;
+    function update({ time }) {
+        const elapsed = time - startTime;
         const progress = Math.min(elapsed / duration, 1);
         
         const current = start + (end - start) * progress;
         element.textContent = formatter ? formatter(Math.floor(current)) : Math.floor(current);
         
         if (progress < 1) {
-            requestAnimationFrame(update);
+            ctx.scheduleTask(update, { priority: 'user-visible' });
         }
     }
     
-    requestAnimationFrame(update);
+    // One step per frame, within the scheduler's frame budget
+    ctx.scheduleTask(update, { priority: 'user-visible' });
 }
 
-// Initialize stats animation when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    setTimeout(initStatsAnimation, 1000);
-});
-
 // Error handling for missing elements
 window.addEventListener('error', function(e) {
     console.error('JavaScript error:', e.error);
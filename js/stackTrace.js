@@ -0,0 +1,257 @@
+// Stack Trace Parsing and Symbolication for PocketGNU
+//
+// parse() turns V8 (Chrome, Edge), SpiderMonkey (Firefox) and JavaScriptCore (Safari) stack strings into frames of one
+// shape: { function, file, line, column, raw }. symbolicate() resolves those frames against source maps that have been
+// added locally, so nothing is fetched and it works on imported bundles and in Node alike.
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Function names engines use for top-level code rather than a real function
+const ANONYMOUS_FUNCTIONS = ['global code', 'module code', 'eval code', '<anonymous>', 'anonymous'];
+
+// "fn@file:1:2", "@file:1", "fn@file:1:2 > eval:1:1" or "fn@[native code]"; anything else with an @ (an email in a
+// message, say) is not a frame
+const GECKO_FRAME = /^[^@]*@(?:\[native code\]|.+?:\d+(?::\d+)?(?: > .*)?)$/;
+
+class StackTrace {
+    constructor() {
+        this.maxFrames = 50;
+        this.sourceMaps = new Map(); // generated file URL -> { map, lines }
+    }
+
+    // ===== PARSING =====
+
+    parse(stack) {
+        if (!stack) {
+            return [];
+        }
+
+        // V8 stacks start with the message, which may span lines and contain anything; only "at" lines are frames
+        const lines = String(stack).split('\n');
+        const isV8 = lines.some(line => line.trim().startsWith('at '));
+        return lines
+            .filter(line => !isV8 || line.trim().startsWith('at '))
+            .map(line => this.parseLine(line))
+            .filter(Boolean)
+            .slice(0, this.maxFrames);
+    }
+
+    // Returns a frame, or null for lines that are not frames (e.g. the "TypeError: ..." header)
+    parseLine(line) {
+        const raw = line.trim();
+        if (raw.startsWith('at ')) {
+            return this.parseV8Line(raw);
+        }
+        if (GECKO_FRAME.test(raw) || raw === '[native code]') {
+            return this.parseGeckoLine(raw);
+        }
+        return null;
+    }
+
+    // "at fn (file:1:2)", "at file:1:2", "at async fn (file:1:2)", "at eval (eval at fn (file:1:2), <anonymous>:1:1)"
+    parseV8Line(raw) {
+        let body = raw.slice(3).replace(/^async\s+/, '');
+        let name = null;
+
+        const parenIndex = body.indexOf(' (');
+        if (body.endsWith(')') && parenIndex !== -1) {
+            name = body.slice(0, parenIndex);
+            body = body.slice(parenIndex + 2, -1);
+        }
+
+        // Frames inside eval point at the eval call site
+        const evalOrigin = body.match(/^eval at .*?\((\S+?:\d+:\d+)\)/);
+        if (evalOrigin) {
+            body = evalOrigin[1];
+        }
+
+        return this.createFrame(raw, name, body);
+    }
+
+    // Firefox "fn@file:1:2", "fn/<@file:1:2", "@file:1:2", "fn@file:1:2 > eval:1:1"; Safari "fn@file:1:2",
+    // "global code@file:1:2", "fn@[native code]"
+    parseGeckoLine(raw) {
+        if (raw === '[native code]') {
+            return this.createFrame(raw, null, raw);
+        }
+
+        const atIndex = raw.indexOf('@');
+        const name = raw.slice(0, atIndex).replace(/\/<+$/, '').replace(/<+$/, '').replace(/\*$/, '');
+        const location = raw.slice(atIndex + 1).split(' > ')[0];
+        return this.createFrame(raw, name, location);
+    }
+
+    createFrame(raw, name, location) {
+        const match = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+        const trimmedName = (name || '').trim();
+
+        return {
+            function: trimmedName && !ANONYMOUS_FUNCTIONS.includes(trimmedName) ? trimmedName : null,
+            file: (match ? match[1] : location) || null,
+            line: match ? Number(match[2]) : null,
+            column: match && match[3] ? Number(match[3]) : null,
+            raw
+        };
+    }
+
+    // One-line form used in fingerprints and the diagnostics panel, e.g. "init (js/utils.js:10:5)"
+    formatFrame(frame) {
+        const location = [frame.file || '<unknown>', frame.line, frame.column].filter(part => part !== null).join(':');
+        return frame.function ? `${frame.function} (${location})` : location;
+    }
+
+    // ===== SOURCE MAPS =====
+
+    // Add a v3 source map (object or JSON string) for a generated file; file defaults to the map's own "file"
+    addSourceMap(sourceMap, file) {
+        const map = typeof sourceMap === 'string' ? JSON.parse(sourceMap) : sourceMap;
+        if (!map || map.version !== 3 || typeof map.mappings !== 'string') {
+            throw new Error('Only version 3 source maps with a "mappings" field are supported');
+        }
+
+        const key = file || map.file;
+        if (!key) {
+            throw new Error('Source map has no "file"; pass the generated file it belongs to');
+        }
+
+        this.sourceMaps.set(this.normalizeFile(key), { map, lines: this.decodeMappings(map.mappings) });
+        return key;
+    }
+
+    removeSourceMap(file) {
+        this.sourceMaps.delete(this.normalizeFile(file));
+    }
+
+    clearSourceMaps() {
+        this.sourceMaps.clear();
+    }
+
+    getSourceMapFiles() {
+        return [...this.sourceMaps.keys()];
+    }
+
+    // Return copies of frames with an `original` position where a source map covers them, otherwise null
+    symbolicate(frames) {
+        return (frames || []).map(frame => ({
+            ...frame,
+            original: this.resolveFrame(frame)
+        }));
+    }
+
+    resolveFrame(frame) {
+        if (!frame.file || frame.line === null) {
+            return null;
+        }
+
+        const entry = this.findSourceMap(frame.file);
+        if (!entry) {
+            return null;
+        }
+
+        const segments = entry.lines[frame.line - 1];
+        if (!segments || segments.length === 0) {
+            return null;
+        }
+
+        // Stack columns are 1-based, source map columns 0-based; use the closest segment at or before the column
+        const column = (frame.column || 1) - 1;
+        let segment = null;
+        for (const candidate of segments) {
+            if (candidate[0] > column) {
+                break;
+            }
+            segment = candidate;
+        }
+        if (!segment || segment.length < 4) {
+            return null;
+        }
+
+        const { map } = entry;
+        const source = map.sources[segment[1]];
+        return {
+            function: segment.length > 4 ? map.names[segment[4]] : frame.function,
+            file: map.sourceRoot ? `${map.sourceRoot.replace(/\/$/, '')}/${source}` : source,
+            line: segment[2] + 1,
+            column: segment[3] + 1
+        };
+    }
+
+    // Match on the full URL first, then on the path without origin or query string
+    findSourceMap(file) {
+        const normalized = this.normalizeFile(file);
+        if (this.sourceMaps.has(normalized)) {
+            return this.sourceMaps.get(normalized);
+        }
+
+        for (const [key, entry] of this.sourceMaps) {
+            if (normalized.endsWith(`/${key}`) || key.endsWith(`/${normalized}`)) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    normalizeFile(file) {
+        return String(file).split(/[?#]/)[0].replace(/^[a-z-]+:\/\/[^/]+\//i, '').replace(/^\//, '');
+    }
+
+    // Decode the VLQ "mappings" string into, per generated line, segments of absolute
+    // [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex] values
+    decodeMappings(mappings) {
+        const lines = [];
+        const state = [0, 0, 0, 0, 0];
+
+        mappings.split(';').forEach(line => {
+            state[0] = 0; // Generated column resets on every line; the other fields carry over
+            const segments = [];
+
+            line.split(',').forEach(encoded => {
+                if (!encoded) {
+                    return;
+                }
+                const values = this.decodeVlq(encoded);
+                const segment = values.map((value, index) => {
+                    state[index] += value;
+                    return state[index];
+                });
+                segments.push(segment);
+            });
+
+            segments.sort((a, b) => a[0] - b[0]);
+            lines.push(segments);
+        });
+
+        return lines;
+    }
+
+    decodeVlq(encoded) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+
+        for (const char of encoded) {
+            const digit = BASE64_CHARS.indexOf(char);
+            if (digit === -1) {
+                throw new Error(`Invalid base64 character "${char}" in source map`);
+            }
+            value += (digit & 31) << shift;
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value & 1 ? -(value >> 1) : value >> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    }
+}
+
+// Create global stack trace instance; also loadable from Node for offline symbolication
+if (typeof window !== 'undefined') {
+    window.PocketGNUStackTrace = new StackTrace();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StackTrace;
+}
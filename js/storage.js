@@ -0,0 +1,318 @@
+// Namespaced, Versioned Storage for PocketGNU
+//
+// Every key the app persists is declared in STORAGE_SCHEMAS and stored as JSON under the "pocketgnu:" prefix, so
+// clearing our data never touches anything else on the origin. Migrations upgrade older layouts on load.
+const STORAGE_SCHEMAS = {
+    // type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any'; null is always accepted.
+    // evictable keys may be dropped, lowest priority first, when the quota is exceeded.
+    preferences: { type: 'object', default: {} },
+    'countdown.target': { type: 'number', default: null },
+    'ai.apiKey': { type: 'string', default: null },
+    signups: { type: 'array', default: [] }, // { flow, email, submittedAt } for each beta/early adopter signup
+    'errors.fallback': { type: 'array', default: [], evictable: true, priority: 1 },
+    'errors.transportQueue': { type: 'array', default: [], evictable: true, priority: 2 },
+    'offlineQueue.fallback': { type: 'array', default: [], evictable: true, priority: 3 }
+};
+
+// Keys written by versions before the storage layer existed
+const LEGACY_STORAGE_KEYS = {
+    pocketgnu_preferences: 'preferences',
+    'countdown-target': 'countdown.target',
+    openrouter_api_key: 'ai.apiKey',
+    pocketgnu_errors: 'errors.fallback',
+    pocketgnu_error_queue: 'errors.transportQueue',
+    pocketgnu_offline_queue: 'offlineQueue.fallback'
+};
+
+class PocketGNUStorage {
+    constructor() {
+        this.errorHandler = window.PocketGNUErrorHandler;
+        this.prefix = 'pocketgnu:';
+        this.versionKey = `${this.prefix}__version`;
+        this.version = 1;
+        this.schemas = { ...STORAGE_SCHEMAS };
+        this.memory = new Map(); // Values that could not be written to localStorage
+        this.listeners = new Map(); // Key name or '*' -> Set of listeners
+        this.isReporting = false;
+        this.isAvailable = window.PocketGNUUtils?.supportsFeature('localStorage') ?? false;
+
+        // migrations[n] upgrades a store at version n - 1 to version n
+        this.migrations = {
+            1: () => this.migrateLegacyKeys()
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!this.isAvailable) {
+            console.warn('⚠️ localStorage unavailable, keeping settings in memory for this session');
+            return;
+        }
+
+        this.runMigrations();
+
+        // Other tabs writing our keys
+        window.addEventListener('storage', (event) => {
+            if (event.storageArea !== localStorage) {
+                return;
+            }
+            if (event.key === null) {
+                Object.keys(this.schemas).forEach(name => this.emit(name, this.getDefault(name), null, 'storage'));
+                return;
+            }
+            if (!event.key.startsWith(this.prefix) || event.key === this.versionKey) {
+                return;
+            }
+            const name = event.key.slice(this.prefix.length);
+            this.emit(name, this.parse(name, event.newValue), this.parse(name, event.oldValue), 'storage');
+        });
+    }
+
+    // ===== SCHEMAS & MIGRATIONS =====
+
+    // Declare a key at runtime, e.g. define('editor.fontSize', { type: 'number', default: 14 })
+    define(name, schema) {
+        this.schemas[name] = { type: 'any', default: null, ...schema };
+    }
+
+    getStoredVersion() {
+        return Number(localStorage.getItem(this.versionKey)) || 0;
+    }
+
+    runMigrations() {
+        let version = this.getStoredVersion();
+        while (version < this.version) {
+            const next = version + 1;
+            try {
+                if (this.migrations[next]) {
+                    this.migrations[next]();
+                }
+                localStorage.setItem(this.versionKey, String(next));
+                version = next;
+            } catch (error) {
+                this.report(`Storage migration to version ${next} failed`, {
+                    error: error.message,
+                    stack: error.stack
+                }, 'error');
+                return;
+            }
+        }
+    }
+
+    // Version 1: move raw keys into the namespace
+    migrateLegacyKeys() {
+        Object.keys(LEGACY_STORAGE_KEYS).forEach(legacyKey => {
+            const raw = localStorage.getItem(legacyKey);
+            if (raw === null) {
+                return;
+            }
+            const name = LEGACY_STORAGE_KEYS[legacyKey];
+            const value = this.parse(name, raw);
+            if (value !== null) {
+                this.set(name, value);
+            }
+            localStorage.removeItem(legacyKey);
+        });
+    }
+
+    // ===== READ / WRITE =====
+
+    get(name) {
+        this.assertDefined(name);
+        if (this.memory.has(name)) {
+            return this.memory.get(name);
+        }
+        if (!this.isAvailable) {
+            return this.getDefault(name);
+        }
+
+        try {
+            const value = this.parse(name, localStorage.getItem(this.prefix + name));
+            return value === null ? this.getDefault(name) : value;
+        } catch (error) {
+            this.report(`Storage get error: ${error.message}`, { key: name }, 'error');
+            return this.getDefault(name);
+        }
+    }
+
+    // Returns false if the value is invalid for the key's schema; values that do not fit in localStorage even
+    // after eviction are kept in memory for the rest of the session
+    set(name, value) {
+        this.assertDefined(name);
+        if (!this.isValid(name, value)) {
+            this.report(`Invalid value for storage key ${name}`, {
+                key: name,
+                expected: this.schemas[name].type,
+                received: Array.isArray(value) ? 'array' : typeof value
+            }, 'warn');
+            return false;
+        }
+
+        const oldValue = this.get(name);
+        if (!this.write(name, JSON.stringify(value))) {
+            this.memory.set(name, value);
+        } else {
+            this.memory.delete(name);
+        }
+        this.emit(name, value, oldValue, 'local');
+        return true;
+    }
+
+    remove(name) {
+        this.assertDefined(name);
+        const oldValue = this.get(name);
+        this.memory.delete(name);
+        if (this.isAvailable) {
+            try {
+                localStorage.removeItem(this.prefix + name);
+            } catch (error) {
+                console.warn(`Failed to remove storage key ${name}:`, error);
+            }
+        }
+        this.emit(name, this.getDefault(name), oldValue, 'local');
+    }
+
+    // Remove every PocketGNU key (and nothing else on the origin), except those listed in keep
+    clear(keep = []) {
+        Object.keys(this.schemas)
+            .filter(name => !keep.includes(name))
+            .forEach(name => this.remove(name));
+    }
+
+    // listener(value, oldValue, { key, source: 'local' | 'storage' }); name '*' listens to every key
+    onChange(name, listener) {
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, new Set());
+        }
+        this.listeners.get(name).add(listener);
+        return () => this.listeners.get(name).delete(listener);
+    }
+
+    // True while writes actually reach localStorage
+    isPersistent() {
+        return this.isAvailable && this.memory.size === 0;
+    }
+
+    // ===== INTERNALS =====
+
+    // Write a raw value, evicting low-priority keys when the quota is exceeded
+    write(name, raw) {
+        if (!this.isAvailable) {
+            return false;
+        }
+
+        const evictable = Object.keys(this.schemas)
+            .filter(key => this.schemas[key].evictable && key !== name)
+            .sort((a, b) => this.schemas[a].priority - this.schemas[b].priority);
+
+        for (;;) {
+            try {
+                localStorage.setItem(this.prefix + name, raw);
+                return true;
+            } catch (error) {
+                const victim = this.isQuotaError(error) ? this.findEvictable(evictable) : null;
+                if (!victim) {
+                    this.report(`Storage set error: ${error.message}`, { key: name },
+                        this.isQuotaError(error) ? 'warn' : 'error');
+                    return false;
+                }
+                localStorage.removeItem(this.prefix + victim);
+                this.report(`Storage quota exceeded, evicted ${victim}`, { key: name, evicted: victim }, 'warn');
+            }
+        }
+    }
+
+    findEvictable(candidates) {
+        while (candidates.length > 0) {
+            const candidate = candidates.shift();
+            if (localStorage.getItem(this.prefix + candidate) !== null) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    isQuotaError(error) {
+        return error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014);
+    }
+
+    // Parse a stored JSON string; anything unparseable or of the wrong type reads as null
+    parse(name, raw) {
+        if (raw === null || typeof raw === 'undefined') {
+            return null;
+        }
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch {
+            value = raw; // Legacy values were sometimes written without JSON encoding
+        }
+        return this.isValid(name, value) ? value : null;
+    }
+
+    isValid(name, value) {
+        const schema = this.schemas[name] || { type: 'any' };
+        if (value === null || schema.type === 'any') {
+            return true;
+        }
+        if (schema.type === 'array') {
+            return Array.isArray(value);
+        }
+        if (schema.type === 'object') {
+            return typeof value === 'object' && !Array.isArray(value);
+        }
+        return typeof value === schema.type;
+    }
+
+    getDefault(name) {
+        const defaultValue = this.schemas[name]?.default;
+        if (defaultValue && typeof defaultValue === 'object') {
+            return JSON.parse(JSON.stringify(defaultValue)); // Callers must not mutate the shared default
+        }
+        return defaultValue;
+    }
+
+    assertDefined(name) {
+        if (!this.schemas[name]) {
+            throw new Error(`Unknown storage key "${name}"; declare it with define() first`);
+        }
+    }
+
+    // Logging an error can itself write to storage (persisted errors, the transport queue), so a failure while
+    // reporting goes to the console instead of looping back through the error handler
+    report(message, context, severity) {
+        if (this.isReporting || !this.errorHandler) {
+            console.warn(message, context);
+            return;
+        }
+        this.isReporting = true;
+        try {
+            this.errorHandler.logCustomError(message, context, { severity, category: 'storage' });
+        } finally {
+            this.isReporting = false;
+        }
+    }
+
+    emit(name, value, oldValue, source) {
+        const details = { key: name, source };
+        [name, '*'].forEach(key => {
+            this.listeners.get(key)?.forEach(listener => {
+                try {
+                    listener(value, oldValue, details);
+                } catch (error) {
+                    console.warn(`Storage listener for ${name} failed:`, error);
+                }
+            });
+        });
+    }
+}
+
+// Create global storage instance
+window.PocketGNUStorage = new PocketGNUStorage();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PocketGNUStorage;
+}
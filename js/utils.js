@@ -1,7 +1,93 @@
 // Utility Functions for PocketGNU
+
+// Typed errors thrown by the HTTP client (and TimeoutError by retry budgets)
+class NetworkError extends Error {
+    constructor(message, { url, cause } = {}) {
+        super(message);
+        this.name = 'NetworkError';
+        this.url = url;
+        this.cause = cause;
+    }
+}
+
+class TimeoutError extends Error {
+    constructor(message, { url, timeout } = {}) {
+        super(message);
+        this.name = 'TimeoutError';
+        this.url = url;
+        this.timeout = timeout;
+    }
+}
+
+class HttpError extends Error {
+    constructor(message, { url, status, statusText, body } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.url = url;
+        this.status = status;
+        this.statusText = statusText;
+        this.body = body;
+    }
+}
+
+const RETRY_POLICY_DEFAULTS = {
+    attempts: 3,
+    baseDelay: 1000,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: 'full',
+    retryOn: () => true,
+    timeout: null,
+    signal: null,
+    circuitBreaker: true,
+    log: true // false to skip the "All retry attempts failed" error when the caller logs its own
+};
+
+// Retry only failures a later attempt can fix: lost connections, timeouts, rate limits and server errors
+const HTTP_RETRY_ON = (error) => error instanceof NetworkError || error instanceof TimeoutError ||
+    (error instanceof HttpError && (error.status === 429 || error.status >= 500));
+
+// scheduleTask() priorities, most urgent first. user-blocking runs as soon as it is due, user-visible in the next
+// animation frame within the frame budget, background when the browser is idle.
+const TASK_PRIORITIES = ['user-blocking', 'user-visible', 'background'];
+
 class PocketGNUUtils {
     constructor() {
         this.errorHandler = window.PocketGNUErrorHandler;
+        this.events = window.PocketGNUEvents;
+        this.circuitBreakers = new Map(); // Context name -> breaker state, see getCircuitBreaker
+        this.httpErrors = { NetworkError, TimeoutError, HttpError };
+        this.requestInterceptors = [];
+        this.responseInterceptors = [];
+        this.inFlightRequests = new Map(); // Dedupe key -> promise for identical concurrent GETs
+        this.httpTimeout = 10000; // Default per-attempt timeout in ms
+        // Events that represent a deliberate user action and are recorded as breadcrumbs
+        this.interactionEvents = new Set(['click', 'submit', 'change', 'touchend']);
+        this.capabilities = {}; // Detector name -> cached result, filled in as features are asked for
+        this.isWatchingMedia = false;
+        this.customDetectors = {};
+        this.scheduler = {
+            tasks: new Map(), // Task id -> task, see scheduleTask
+            nextId: 1,
+            timer: null,
+            frameRequested: false,
+            idleRequested: false,
+            paused: false,
+            isInitialized: false,
+            frameBudgetMs: 8, // user-visible work per frame, leaving the rest of a 16ms frame for rendering
+            idleTimeoutMs: 2000, // Background tasks run at the latest this long after they are due
+            dataSaverSlowdown: { 'user-blocking': 1, 'user-visible': 2, background: 4 } // Delay multipliers
+        };
+        this.executions = {
+            enabled: false, // Switched on by the performance optimizer when it can observe long tasks
+            spans: [], // Recent { label, component, start, end }, oldest first
+            maxSpans: 500,
+            depth: 0 // Only the outermost tracked callback is recorded
+        };
+
+        // Probing every capability (WebGL contexts included) is too slow for script start; nothing styles on the
+        // has-* classes before the page is idle
+        this.scheduleTask(() => this.applyCapabilityClasses(), { name: 'Capability classes', priority: 'background' });
     }
 
     // Safe DOM element selector with error handling
@@ -9,11 +95,17 @@ class PocketGNUUtils {
         try {
             const element = context.querySelector(selector);
             if (!element) {
-                this.errorHandler?.logCustomError(`Element not found: ${selector}`, { selector, context });
+                this.errorHandler?.logCustomError(`Element not found: ${selector}`, { selector, context }, {
+                    severity: 'warn',
+                    category: 'dom'
+                });
             }
             return element;
         } catch (error) {
-            this.errorHandler?.logCustomError(`Query selector error: ${error.message}`, { selector, error });
+            this.errorHandler?.logCustomError(`Query selector error: ${error.message}`, { selector, error }, {
+                severity: 'error',
+                category: 'dom'
+            });
             return null;
         }
     }
@@ -23,20 +115,32 @@ class PocketGNUUtils {
         try {
             return context.querySelectorAll(selector);
         } catch (error) {
-            this.errorHandler?.logCustomError(`Query selector all error: ${error.message}`, { selector, error });
+            this.errorHandler?.logCustomError(`Query selector all error: ${error.message}`, { selector, error }, {
+                severity: 'error',
+                category: 'dom'
+            });
             return [];
         }
     }
 
     // Safe event listener attachment
+    // Returns a function that removes the listener, or null if it could not be added. Use a scope from
+    // js/scope.js when several listeners and timers share a lifetime.
     safeAddEventListener(element, event, handler, options = {}) {
         try {
             if (!element) {
-                this.errorHandler?.logCustomError('Cannot add event listener: element is null', { event });
-                return false;
+                this.errorHandler?.logCustomError('Cannot add event listener: element is null', { event }, {
+                    severity: 'warn',
+                    category: 'dom'
+                });
+                return null;
             }
 
             const wrappedHandler = (e) => {
+                if (this.interactionEvents.has(event)) {
+                    const target = this.errorHandler?.describeElement(element);
+                    this.errorHandler?.addBreadcrumb('interaction', `${event} on ${target}`);
+                }
                 try {
                     handler(e);
                 } catch (error) {
@@ -44,44 +148,50 @@ class PocketGNUUtils {
                         event, 
                         error: error.message,
                         stack: error.stack 
-                    });
+                    }, { severity: 'error', category: 'ui' });
                 }
             };
 
             element.addEventListener(event, wrappedHandler, options);
-            return true;
+            return () => element.removeEventListener(event, wrappedHandler, options);
         } catch (error) {
-            this.errorHandler?.logCustomError(`Failed to add event listener: ${error.message}`, { event, error });
-            return false;
+            this.errorHandler?.logCustomError(`Failed to add event listener: ${error.message}`, { event, error }, {
+                severity: 'error',
+                category: 'dom'
+            });
+            return null;
         }
     }
 
     // Safe setTimeout with error handling
-    safeSetTimeout(callback, delay) {
+    // context is merged into the logged error, e.g. { component: 'Terminal Animation' } for error budgets
+    safeSetTimeout(callback, delay, context = {}) {
         return setTimeout(() => {
             try {
                 callback();
             } catch (error) {
                 this.errorHandler?.logCustomError(`Timeout callback error: ${error.message}`, { 
+                    ...context,
                     delay, 
                     error: error.message,
                     stack: error.stack 
-                });
+                }, { severity: 'error', category: 'async' });
             }
         }, delay);
     }
 
     // Safe setInterval with error handling
-    safeSetInterval(callback, interval) {
+    safeSetInterval(callback, interval, context = {}) {
         return setInterval(() => {
             try {
                 callback();
             } catch (error) {
                 this.errorHandler?.logCustomError(`Interval callback error: ${error.message}`, { 
+                    ...context,
                     interval, 
                     error: error.message,
                     stack: error.stack 
-                });
+                }, { severity: 'error', category: 'async' });
             }
         }, interval);
     }
@@ -96,7 +206,10 @@ class PocketGNUUtils {
                     try {
                         func(...args);
                     } catch (error) {
-                        this.errorHandler?.logCustomError(`Debounced function error: ${error.message}`, { error });
+                        this.errorHandler?.logCustomError(`Debounced function error: ${error.message}`, { error }, {
+                            severity: 'error',
+                            category: 'async'
+                        });
                     }
                 }
             };
@@ -107,7 +220,11 @@ class PocketGNUUtils {
                 try {
                     func(...args);
                 } catch (error) {
-                    this.errorHandler?.logCustomError(`Immediate debounced function error: ${error.message}`, { error });
+                    this.errorHandler?.logCustomError(
+                        `Immediate debounced function error: ${error.message}`,
+                        { error },
+                        { severity: 'error', category: 'async' }
+                    );
                 }
             }
         };
@@ -121,7 +238,10 @@ class PocketGNUUtils {
                 try {
                     func.apply(this, args);
                 } catch (error) {
-                    this.errorHandler?.logCustomError(`Throttled function error: ${error.message}`, { error });
+                    this.errorHandler?.logCustomError(`Throttled function error: ${error.message}`, { error }, {
+                        severity: 'error',
+                        category: 'async'
+                    });
                 }
                 inThrottle = true;
                 setTimeout(() => inThrottle = false, limit);
@@ -129,13 +249,16 @@ class PocketGNUUtils {
         };
     }
 
-    // Safe local storage operations
+    // Safe local storage operations on raw keys; app data goes through PocketGNUStorage (js/storage.js)
     safeLocalStorageSet(key, value) {
         try {
             localStorage.setItem(key, JSON.stringify(value));
             return true;
         } catch (error) {
-            this.errorHandler?.logCustomError(`LocalStorage set error: ${error.message}`, { key, error });
+            this.errorHandler?.logCustomError(`LocalStorage set error: ${error.message}`, { key, error }, {
+                severity: 'error',
+                category: 'storage'
+            });
             return false;
         }
     }
@@ -145,7 +268,10 @@ class PocketGNUUtils {
             const item = localStorage.getItem(key);
             return item ? JSON.parse(item) : defaultValue;
         } catch (error) {
-            this.errorHandler?.logCustomError(`LocalStorage get error: ${error.message}`, { key, error });
+            this.errorHandler?.logCustomError(`LocalStorage get error: ${error.message}`, { key, error }, {
+                severity: 'error',
+                category: 'storage'
+            });
             return defaultValue;
         }
     }
@@ -164,7 +290,7 @@ class PocketGNUUtils {
                 name, 
                 duration: endTime - startTime,
                 error 
-            });
+            }, { severity: 'error', category: 'ui' });
             throw error;
         }
     }
@@ -178,54 +304,789 @@ class PocketGNUUtils {
                 context, 
                 error: error.message,
                 stack: error.stack 
-            });
+            }, { severity: 'error', category: 'async' });
             throw error;
         }
     }
 
-    // Retry async function with exponential backoff and logging
-    async safeAsyncRetry(asyncFunc, attempts = 3, delay = 1000, context = 'Unknown') {
+    // ===== RETRY POLICIES =====
+
+    // Fill in a retry policy. Options:
+    //   attempts     total tries, including the first (default 3)
+    //   baseDelay    delay before the first retry in ms (default 1000), multiplied by factor (default 2) each retry
+    //   maxDelay     upper bound for a single delay (default 30000)
+    //   jitter       'none' | 'full' | 'equal' | 'decorrelated' (default 'full')
+    //   retryOn      (error, attempt) => boolean; aborts are never retried
+    //   timeout      total time budget in ms across all attempts and delays (default none)
+    //   signal       AbortSignal that cancels the current attempt and any pending delay
+    //   circuitBreaker  false to bypass the per-context circuit breaker, or breaker options; only failures retryOn
+    //                   accepts count towards it
+    //   log          false to skip logging the final failure
+    createRetryPolicy(options = {}) {
+        return { ...RETRY_POLICY_DEFAULTS, ...options };
+    }
+
+    // Delay before retry number `retry` (1-based); previousDelay feeds decorrelated jitter
+    getRetryDelay(policy, retry, previousDelay) {
+        const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, retry - 1));
+
+        switch (policy.jitter) {
+        case 'full':
+            return Math.random() * exponential;
+        case 'equal':
+            return exponential / 2 + Math.random() * (exponential / 2);
+        case 'decorrelated': {
+            const upper = Math.max(policy.baseDelay, (previousDelay || policy.baseDelay) * 3);
+            return Math.min(policy.maxDelay, policy.baseDelay + Math.random() * (upper - policy.baseDelay));
+        }
+        default:
+            return exponential;
+        }
+    }
+
+    // Run asyncFunc({ attempt, signal }) under a retry policy and the circuit breaker for `context`
+    async retry(asyncFunc, options = {}, context = 'Unknown') {
+        const policy = this.createRetryPolicy(options);
+        const deadline = policy.timeout ? Date.now() + policy.timeout : null;
+        const useBreaker = policy.circuitBreaker !== false;
+        const breakerOptions = typeof policy.circuitBreaker === 'object' ? policy.circuitBreaker : {};
+        let previousDelay = 0;
         let lastError;
-        for (let attempt = 1; attempt <= attempts; attempt++) {
+
+        for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+            this.throwIfAborted(policy.signal);
+            if (useBreaker && !this.canRequest(context, breakerOptions)) {
+                throw this.createError('CircuitOpenError', `Circuit for ${context} is open`, lastError);
+            }
+
+            // Each attempt gets its own signal, so one that overruns the deadline is cancelled rather than left running
+            const attemptSignal = this.createAttemptSignal(policy.signal);
             try {
-                return await asyncFunc();
+                const pending = asyncFunc({ attempt, signal: attemptSignal.signal });
+                const result = await this.withDeadline(pending, deadline, attemptSignal.abort);
+                if (useBreaker) {
+                    this.recordSuccess(context);
+                }
+                return result;
             } catch (error) {
                 lastError = error;
+                if (this.isAbortError(error)) {
+                    throw error;
+                }
+                // Only failures retryOn accepts (for HTTP: network, timeout, 429, 5xx) say the context is unhealthy;
+                // a 4xx is the caller's problem and must not trip the breaker
+                const isRetryable = policy.retryOn(error, attempt);
+                if (useBreaker && isRetryable) {
+                    this.recordFailure(context, breakerOptions);
+                }
+                if (attempt === policy.attempts || !isRetryable) {
+                    break;
+                }
+
+                const delay = this.getRetryDelay(policy, attempt, previousDelay);
+                previousDelay = delay;
                 this.errorHandler?.logRetryAttempt({
                     attempt,
-                    delay,
+                    delay: Math.round(delay),
                     context,
                     errorMessage: error.message,
                     stack: error.stack
                 });
-                // Exponential backoff delay
-                await new Promise(resolve => setTimeout(resolve, delay));
-                delay *= 2;
+
+                if (deadline && Date.now() + delay >= deadline) {
+                    lastError = new TimeoutError(`Retry budget for ${context} exhausted`, { timeout: policy.timeout });
+                    break;
+                }
+                await this.sleep(delay, policy.signal);
+            } finally {
+                attemptSignal.release();
             }
         }
-        this.errorHandler?.logCustomError(`All retry attempts failed in ${context}`, { error: lastError.message, stack: lastError.stack });
+
+        if (policy.log) {
+            this.errorHandler?.logCustomError(`All retry attempts failed in ${context}`, {
+                error: lastError.message,
+                stack: lastError.stack
+            }, { severity: 'error', category: 'async' });
+        }
         throw lastError;
     }
 
+    // Retry async function with exponential backoff and logging (fixed delays, kept for existing callers). No circuit
+    // breaker: these callers never opted into fast failures; use retry() for that.
+    safeAsyncRetry(asyncFunc, attempts = 3, delay = 1000, context = 'Unknown') {
+        const policy = { attempts, baseDelay: delay, jitter: 'none', circuitBreaker: false };
+        return this.retry(() => asyncFunc(), policy, context);
+    }
+
+    // Reject with a TimeoutError if the promise has not settled by the deadline (epoch ms); onExpire(error) lets the
+    // caller cancel the work behind the promise
+    withDeadline(promise, deadline, onExpire = null) {
+        if (!deadline) {
+            return promise;
+        }
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new TimeoutError('Retry budget exhausted');
+                reject(error);
+                onExpire?.(error);
+            }, Math.max(0, deadline - Date.now()));
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.getAbortReason(signal));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.getAbortReason(signal));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // An abortable signal for one attempt that also follows the caller's signal; release() detaches it afterwards
+    createAttemptSignal(parent) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(this.getAbortReason(parent));
+        if (parent?.aborted) {
+            onAbort();
+        } else {
+            parent?.addEventListener('abort', onAbort, { once: true });
+        }
+        return {
+            signal: controller.signal,
+            abort: reason => controller.abort(reason),
+            release: () => parent?.removeEventListener('abort', onAbort)
+        };
+    }
+
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw this.getAbortReason(signal);
+        }
+    }
+
+    getAbortReason(signal) {
+        if (signal.reason instanceof Error) {
+            return signal.reason;
+        }
+        return this.createError('AbortError', 'The operation was aborted');
+    }
+
+    isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    createError(name, message, cause) {
+        const error = new Error(message);
+        error.name = name;
+        if (cause) {
+            error.cause = cause;
+        }
+        return error;
+    }
+
+    // ===== CIRCUIT BREAKERS =====
+
+    // One breaker per context name. Options: failureThreshold consecutive failures open the circuit (default 5);
+    // after resetTimeout ms (default 30000) it goes half-open and lets halfOpenMaxCalls trial requests through
+    getCircuitBreaker(name, options = {}) {
+        if (!this.circuitBreakers.has(name)) {
+            this.circuitBreakers.set(name, {
+                name,
+                state: 'closed',
+                failures: 0,
+                openedAt: null,
+                halfOpenCalls: 0,
+                failureThreshold: options.failureThreshold || 5,
+                resetTimeout: options.resetTimeout || 30000,
+                halfOpenMaxCalls: options.halfOpenMaxCalls || 1
+            });
+        }
+        return this.circuitBreakers.get(name);
+    }
+
+    canRequest(name, options = {}) {
+        const breaker = this.getCircuitBreaker(name, options);
+
+        if (breaker.state === 'open') {
+            if (Date.now() - breaker.openedAt < breaker.resetTimeout) {
+                return false;
+            }
+            this.transitionCircuit(breaker, 'half-open');
+        }
+        if (breaker.state === 'half-open') {
+            if (breaker.halfOpenCalls >= breaker.halfOpenMaxCalls) {
+                return false;
+            }
+            breaker.halfOpenCalls += 1;
+        }
+        return true;
+    }
+
+    recordSuccess(name) {
+        const breaker = this.getCircuitBreaker(name);
+        breaker.failures = 0;
+        if (breaker.state !== 'closed') {
+            this.transitionCircuit(breaker, 'closed');
+        }
+    }
+
+    recordFailure(name, options = {}) {
+        const breaker = this.getCircuitBreaker(name, options);
+        breaker.failures += 1;
+        if (breaker.state === 'half-open' || breaker.failures >= breaker.failureThreshold) {
+            this.transitionCircuit(breaker, 'open');
+        }
+    }
+
+    transitionCircuit(breaker, state) {
+        const previous = breaker.state;
+        breaker.state = state;
+        breaker.halfOpenCalls = 0;
+        breaker.openedAt = state === 'open' ? Date.now() : null;
+        if (state === 'closed') {
+            breaker.failures = 0;
+        }
+
+        this.errorHandler?.logCustomError(`Circuit ${breaker.name} ${previous} → ${state}`, {
+            circuit: breaker.name,
+            from: previous,
+            to: state,
+            failures: breaker.failures
+        }, { severity: state === 'open' ? 'warn' : 'info', category: 'network' });
+    }
+
+    resetCircuitBreaker(name) {
+        const breaker = this.circuitBreakers.get(name);
+        if (breaker && breaker.state !== 'closed') {
+            this.transitionCircuit(breaker, 'closed');
+        }
+    }
+
+    getCircuitBreakerStates() {
+        const states = {};
+        this.circuitBreakers.forEach((breaker, name) => {
+            states[name] = { state: breaker.state, failures: breaker.failures, openedAt: breaker.openedAt };
+        });
+        return states;
+    }
+
+    // ===== HTTP CLIENT =====
+
+    // Interceptors run in order. Request interceptors get and return the request options ({ url, method, headers,
+    // body, ... }); response interceptors get (response, request) and return a Response. Both may be async.
+    // Each returns a function that removes the interceptor.
+    addRequestInterceptor(interceptor) {
+        this.requestInterceptors.push(interceptor);
+        return () => {
+            this.requestInterceptors = this.requestInterceptors.filter(entry => entry !== interceptor);
+        };
+    }
+
+    addResponseInterceptor(interceptor) {
+        this.responseInterceptors.push(interceptor);
+        return () => {
+            this.responseInterceptors = this.responseInterceptors.filter(entry => entry !== interceptor);
+        };
+    }
+
+    // Options: method, headers, body (plain objects are sent as JSON), timeout per attempt in ms, retry (policy for
+    // this.retry; GET/HEAD retry 3 times by default, other methods do not retry), responseType ('json' | 'text' |
+    // 'blob' | 'response', default by content type), signal, context (circuit breaker name, default the host) and
+    // dedupe (default true: identical in-flight GETs without a signal share one request). With offline: { handler,
+    // key, ttl }, a request made while offline is queued (see offlineQueue.js) and resolves to { queued: true, id }
+    httpRequest(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        if (options.offline && this.isOffline() && window.PocketGNUOfflineQueue) {
+            return this.queueOfflineRequest(url, { ...options, method });
+        }
+
+        const dedupeKey = `${method} ${url} ${JSON.stringify(options.headers || {})}`;
+        const canDedupe = method === 'GET' && options.dedupe !== false && !options.signal;
+
+        if (canDedupe && this.inFlightRequests.has(dedupeKey)) {
+            return this.inFlightRequests.get(dedupeKey);
+        }
+
+        const promise = this.sendHttpRequest(url, { ...options, method });
+        if (canDedupe) {
+            this.inFlightRequests.set(dedupeKey, promise);
+            promise.then(
+                () => this.inFlightRequests.delete(dedupeKey),
+                () => this.inFlightRequests.delete(dedupeKey)
+            );
+        }
+        return promise;
+    }
+
+    httpGet(url, options = {}) {
+        return this.httpRequest(url, { ...options, method: 'GET' });
+    }
+
+    httpPost(url, body, options = {}) {
+        return this.httpRequest(url, { ...options, method: 'POST', body });
+    }
+
+    async sendHttpRequest(url, options) {
+        let request = { ...options, url, headers: { ...options.headers } };
+        for (const interceptor of this.requestInterceptors) {
+            request = await interceptor(request);
+        }
+
+        const isIdempotent = ['GET', 'HEAD'].includes(request.method);
+        const policy = {
+            attempts: isIdempotent ? 3 : 1,
+            retryOn: HTTP_RETRY_ON,
+            ...request.retry,
+            signal: request.signal,
+            log: false
+        };
+        const context = request.context || this.getRequestHost(request.url);
+        const label = `${request.method} ${this.errorHandler?.stripQuery(request.url) || request.url}`;
+        const startTime = performance.now();
+        let attempts = 0;
+
+        try {
+            const data = await this.retry(({ attempt, signal }) => {
+                attempts = attempt;
+                return this.fetchOnce({ ...request, signal });
+            }, policy, context);
+
+            this.errorHandler?.addBreadcrumb('fetch', `${label} succeeded`, {
+                attempts,
+                duration: Math.round(performance.now() - startTime)
+            });
+            return data;
+        } catch (error) {
+            // The connection dropped mid-request: hand the request to the offline queue instead of failing
+            if (options.offline && error instanceof NetworkError && window.PocketGNUOfflineQueue) {
+                return this.queueOfflineRequest(url, options);
+            }
+            this.errorHandler?.addBreadcrumb('fetch', `${label} failed`, {
+                error: error.name,
+                status: error.status,
+                attempts
+            });
+            if (!this.isAbortError(error)) {
+                this.errorHandler?.logCustomError(`HTTP request failed: ${label}`, {
+                    url: request.url,
+                    method: request.method,
+                    error: error.message,
+                    errorName: error.name,
+                    status: error.status,
+                    body: error.body,
+                    attempts,
+                    stack: error.stack
+                }, { severity: 'error', category: 'network' });
+            }
+            throw error;
+        }
+    }
+
+    queueOfflineRequest(url, options) {
+        const request = {
+            url,
+            method: options.method,
+            headers: options.headers,
+            body: options.body,
+            responseType: options.responseType,
+            context: options.context,
+            timeout: options.timeout
+        };
+        return window.PocketGNUOfflineQueue.enqueue(request, options.offline).then(id => ({ queued: true, id }));
+    }
+
+    // A single attempt: fetch with its own timeout, run response interceptors, check status and parse the body
+    async fetchOnce(request) {
+        const timeout = request.timeout || this.httpTimeout;
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(this.getAbortReason(request.signal));
+        request.signal?.addEventListener('abort', onAbort, { once: true });
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: request.method,
+                headers: this.getRequestHeaders(request),
+                body: this.serializeRequestBody(request.body),
+                credentials: request.credentials,
+                cache: request.cache,
+                signal: controller.signal
+            });
+            for (const interceptor of this.responseInterceptors) {
+                response = await interceptor(response, request);
+            }
+        } catch (error) {
+            if (timedOut) {
+                throw new TimeoutError(`Request to ${request.url} timed out after ${timeout}ms`, {
+                    url: request.url,
+                    timeout
+                });
+            }
+            if (this.isAbortError(error)) {
+                throw error;
+            }
+            throw new NetworkError(`Network request to ${request.url} failed: ${error.message}`, {
+                url: request.url,
+                cause: error
+            });
+        } finally {
+            clearTimeout(timer);
+            request.signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (!response.ok) {
+            throw new HttpError(`${request.method} ${request.url} responded with ${response.status}`, {
+                url: request.url,
+                status: response.status,
+                statusText: response.statusText,
+                body: await this.parseResponseBody(response, 'auto').catch(() => null)
+            });
+        }
+        return this.parseResponseBody(response, request.responseType || 'auto');
+    }
+
+    getRequestHeaders(request) {
+        const isJson = request.body !== null && typeof request.body === 'object' &&
+            !(request.body instanceof FormData) && !(request.body instanceof Blob) &&
+            !(request.body instanceof URLSearchParams);
+        return isJson ? { 'Content-Type': 'application/json', ...request.headers } : request.headers;
+    }
+
+    serializeRequestBody(body) {
+        if (body === null || typeof body !== 'object' || body instanceof FormData || body instanceof Blob ||
+            body instanceof URLSearchParams) {
+            return body;
+        }
+        return JSON.stringify(body);
+    }
+
+    async parseResponseBody(response, responseType) {
+        if (responseType === 'response') {
+            return response;
+        }
+        if (responseType === 'blob') {
+            return response.blob();
+        }
+        if (response.status === 204 || response.status === 205) {
+            return null;
+        }
+
+        const text = await response.text();
+        const contentType = response.headers.get('Content-Type') || '';
+        if (responseType === 'json' || (responseType === 'auto' && contentType.includes('json'))) {
+            try {
+                return text ? JSON.parse(text) : null;
+            } catch (error) {
+                throw new HttpError(`Invalid JSON from ${response.url}: ${error.message}`, {
+                    url: response.url,
+                    status: response.status,
+                    statusText: response.statusText,
+                    body: text.slice(0, 1000)
+                });
+            }
+        }
+        return text;
+    }
+
+    getRequestHost(url) {
+        try {
+            return new URL(url, window.location.href).host;
+        } catch (e) {
+            return 'Unknown';
+        }
+    }
+
+    // ===== TASK SCHEDULER =====
+
+    // Run callback({ time, priority }) on the shared scheduler instead of a private timer. Options:
+    //   name           label for errors and getScheduledTasks()
+    //   priority       'user-blocking' | 'user-visible' | 'background' (default 'user-visible')
+    //   delay          ms before the first run (defaults to interval, or 0)
+    //   interval       repeat this many ms after each run; a paused or slow tab never replays a backlog
+    //   runWhenHidden  keep running while the tab is hidden (default false: paused until it is visible again)
+    //   context        merged into logged errors, e.g. { component: 'Countdown' }
+    // Delays are stretched in data-saver mode. Returns { id, cancel() }.
+    scheduleTask(callback, options = {}) {
+        const scheduler = this.scheduler;
+        this.initScheduler();
+
+        const priority = TASK_PRIORITIES.includes(options.priority) ? options.priority : 'user-visible';
+        const task = {
+            id: scheduler.nextId++,
+            name: options.name || callback.name || 'anonymous',
+            callback,
+            priority,
+            interval: options.interval || null,
+            runWhenHidden: Boolean(options.runWhenHidden),
+            context: options.context || {},
+            dueAt: performance.now() + this.getTaskDelay(options.delay ?? options.interval ?? 0, priority),
+            queued: false // Due and waiting for its frame or idle period
+        };
+        scheduler.tasks.set(task.id, task);
+        this.scheduleDispatch();
+
+        return { id: task.id, cancel: () => this.cancelTask(task.id) };
+    }
+
+    cancelTask(id) {
+        this.scheduler.tasks.delete(id);
+    }
+
+    // e.g. [{ id: 1, name: 'Countdown', priority: 'user-visible', interval: 1000, dueIn: 420 }]
+    getScheduledTasks() {
+        const now = performance.now();
+        return [...this.scheduler.tasks.values()].map(task => ({
+            id: task.id,
+            name: task.name,
+            priority: task.priority,
+            interval: task.interval,
+            dueIn: Math.max(0, Math.round(task.dueAt - now))
+        }));
+    }
+
+    isDataSaver() {
+        return Boolean(navigator.connection?.saveData) || Boolean(document.body?.classList.contains('data-saver'));
+    }
+
+    getTaskDelay(delay, priority) {
+        return this.isDataSaver() ? delay * this.scheduler.dataSaverSlowdown[priority] : delay;
+    }
+
+    initScheduler() {
+        const scheduler = this.scheduler;
+        if (scheduler.isInitialized) {
+            return;
+        }
+        scheduler.isInitialized = true;
+        scheduler.paused = document.visibilityState === 'hidden';
+
+        // Tasks that came due while hidden run once on return, then keep their interval
+        document.addEventListener('visibilitychange', () => {
+            scheduler.paused = document.visibilityState === 'hidden';
+            // A frame or idle flush that ran while hidden skipped its tasks; let the timer queue them again
+            scheduler.tasks.forEach(task => {
+                task.queued = false;
+            });
+            this.scheduleDispatch();
+        });
+    }
+
+    // Due tasks that may run now, most urgent first
+    getDueTasks(priority = null) {
+        const { tasks, paused } = this.scheduler;
+        const now = performance.now();
+        return [...tasks.values()]
+            .filter(task => task.dueAt <= now && (!paused || task.runWhenHidden) &&
+                (!priority || task.priority === priority))
+            .sort((a, b) => TASK_PRIORITIES.indexOf(a.priority) - TASK_PRIORITIES.indexOf(b.priority) ||
+                a.dueAt - b.dueAt);
+    }
+
+    // One timer for the whole scheduler, armed for the earliest task not already waiting for a frame or idle period
+    scheduleDispatch() {
+        const scheduler = this.scheduler;
+        clearTimeout(scheduler.timer);
+        scheduler.timer = null;
+
+        const waiting = [...scheduler.tasks.values()]
+            .filter(task => !task.queued && (!scheduler.paused || task.runWhenHidden));
+        if (waiting.length === 0) {
+            return;
+        }
+
+        const nextDueAt = Math.min(...waiting.map(task => task.dueAt));
+        scheduler.timer = setTimeout(() => {
+            scheduler.timer = null;
+            this.dispatchTasks();
+        }, Math.max(0, nextDueAt - performance.now()));
+    }
+
+    dispatchTasks() {
+        this.getDueTasks().forEach(task => {
+            if (task.priority === 'user-blocking') {
+                this.runTask(task);
+                return;
+            }
+            task.queued = true;
+            if (task.priority === 'user-visible') {
+                this.requestFrameFlush();
+            } else {
+                this.requestIdleFlush();
+            }
+        });
+        this.scheduleDispatch();
+    }
+
+    requestFrameFlush() {
+        const scheduler = this.scheduler;
+        if (scheduler.frameRequested) {
+            return;
+        }
+        scheduler.frameRequested = true;
+
+        const flush = () => {
+            scheduler.frameRequested = false;
+            const start = performance.now();
+            this.flushTasks('user-visible', () => performance.now() - start < scheduler.frameBudgetMs,
+                () => this.requestFrameFlush());
+        };
+        // Hidden tabs get no animation frames, which only matters for runWhenHidden tasks
+        if (document.visibilityState === 'hidden' || typeof requestAnimationFrame !== 'function') {
+            setTimeout(flush, 0);
+        } else {
+            requestAnimationFrame(flush);
+        }
+    }
+
+    requestIdleFlush() {
+        const scheduler = this.scheduler;
+        if (scheduler.idleRequested) {
+            return;
+        }
+        scheduler.idleRequested = true;
+
+        const flush = (deadline) => {
+            scheduler.idleRequested = false;
+            this.flushTasks('background', () => deadline.timeRemaining() > 1, () => this.requestIdleFlush());
+        };
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(flush, { timeout: scheduler.idleTimeoutMs });
+        } else {
+            // Without idle callbacks, give background work one frame budget per turn
+            setTimeout(() => {
+                const start = performance.now();
+                flush({ timeRemaining: () => scheduler.frameBudgetMs - (performance.now() - start) });
+            }, 1);
+        }
+    }
+
+    // Run due tasks of one priority while hasTime(); at least one always runs so a busy page still makes progress
+    flushTasks(priority, hasTime, requestMore) {
+        const due = this.getDueTasks(priority);
+        for (let i = 0; i < due.length; i++) {
+            if (i > 0 && !hasTime()) {
+                requestMore();
+                break;
+            }
+            this.runTask(due[i]);
+        }
+        this.scheduleDispatch();
+    }
+
+    runTask(task) {
+        const { tasks } = this.scheduler;
+        if (!tasks.has(task.id)) {
+            return; // Cancelled while waiting
+        }
+        task.queued = false;
+        if (!task.interval) {
+            tasks.delete(task.id);
+        }
+
+        try {
+            this.trackExecution(task.name, task.context, () => {
+                task.callback({ time: performance.now(), priority: task.priority });
+            });
+        } catch (error) {
+            this.errorHandler?.logCustomError(`Scheduled task "${task.name}" error: ${error.message}`, {
+                ...task.context,
+                task: task.name,
+                priority: task.priority,
+                error: error.message,
+                stack: error.stack
+            }, { severity: 'error', category: 'async' });
+        }
+
+        if (task.interval) {
+            task.dueAt = performance.now() + this.getTaskDelay(task.interval, task.priority);
+        }
+    }
+
+    // ===== EXECUTION TRACKING =====
+
+    // Run callback and, while tracking is on, remember when it ran and for which component (context.component), so
+    // long tasks can be traced back to the component that caused them. Nested calls count towards the outer one.
+    trackExecution(label, context, callback) {
+        const executions = this.executions;
+        if (!executions.enabled || executions.depth > 0) {
+            return callback();
+        }
+
+        const start = performance.now();
+        executions.depth += 1;
+        try {
+            return callback();
+        } finally {
+            executions.depth -= 1;
+            executions.spans.push({ label, component: context?.component || null, start, end: performance.now() });
+            if (executions.spans.length > executions.maxSpans) {
+                executions.spans.shift();
+            }
+        }
+    }
+
+    setExecutionTracking(enabled) {
+        this.executions.enabled = Boolean(enabled);
+        if (!enabled) {
+            this.executions.spans = [];
+        }
+    }
+
+    // Tracked callbacks that overlapped [start, end], e.g. the duration of a long task
+    getExecutionSpans(start, end) {
+        return this.executions.spans.filter(span => span.start < end && span.end > start);
+    }
+
     // Offline detection and event handling
     initOfflineDetection() {
         window.addEventListener('online', () => {
             console.log('✅ Network status: Online');
-            this.errorHandler?.logCustomError('Network status changed to online', { type: 'Network' });
+            this.errorHandler?.addBreadcrumb('network', 'Went online');
+            this.errorHandler?.logCustomError('Network status changed to online', {}, {
+                severity: 'info',
+                category: 'network'
+            });
             const offlineBanner = document.getElementById('offline-banner');
             if (offlineBanner) {
                 offlineBanner.style.display = 'none';
             }
+            this.events?.emit('network:changed', { online: true });
         });
 
         window.addEventListener('offline', () => {
             console.warn('⚠️ Network status: Offline');
-            this.errorHandler?.logCustomError('Network status changed to offline', { type: 'Network' });
+            this.errorHandler?.addBreadcrumb('network', 'Went offline');
+            this.errorHandler?.logCustomError('Network status changed to offline', {}, {
+                severity: 'warn',
+                category: 'network'
+            });
             const offlineBanner = document.getElementById('offline-banner');
             if (offlineBanner) {
                 offlineBanner.style.display = 'block';
             }
+            this.events?.emit('network:changed', { online: false });
         });
+
+        // Seed the current state, so subscribers asking for replay know it before the first change
+        this.events?.emit('network:changed', { online: navigator.onLine });
     }
 
     // Check if currently offline
@@ -233,9 +1094,106 @@ class PocketGNUUtils {
         return !navigator.onLine;
     }
 
-    // Feature detection helper
+    // ===== CAPABILITIES =====
+
+    // Feature detection helper; only the asked-for detector runs, once
     supportsFeature(feature) {
-        const features = {
+        return Boolean(this.getCapability(feature));
+    }
+
+    // Cached result of one detector, or null for a capability nobody registered
+    getCapability(name) {
+        if (!(name in this.capabilities)) {
+            const detector = this.getFeatureDetectors()[name];
+            if (!detector) {
+                return null;
+            }
+            this.capabilities[name] = this.runDetector(detector);
+        }
+        return this.capabilities[name];
+    }
+
+    // The full capability report, running any detector not asked for yet, e.g.
+    // { localStorage: true, backgroundSync: false, performanceEntryTypes: ['resource'], prefersColorScheme: 'dark' }
+    getCapabilities() {
+        Object.keys(this.getFeatureDetectors()).forEach(name => this.getCapability(name));
+        if (!this.isWatchingMedia) {
+            this.isWatchingMedia = true;
+            this.watchMediaCapabilities();
+        }
+        return { ...this.capabilities };
+    }
+
+    // Kept for callers that predate the capability report
+    detectAllFeatures() {
+        return this.getCapabilities();
+    }
+
+    // Add a capability at runtime; it is detected immediately and written to <html>
+    registerCapability(name, detector) {
+        this.customDetectors[name] = detector;
+        this.capabilities[name] = this.runDetector(detector);
+        this.applyCapabilityClasses();
+    }
+
+    supportsEntryType(type) {
+        return (this.getCapability('performanceEntryTypes') || []).includes(type);
+    }
+
+    runDetector(detector) {
+        try {
+            return detector();
+        } catch (e) {
+            return false; // Some browsers throw on access when a feature is blocked
+        }
+    }
+
+    // Booleans become has-<name> / no-<name> classes on <html>, user preferences a class while they apply
+    // (prefers-reduced-motion), and strings <name>-<value> (prefers-color-scheme-dark). Lists stay in the report.
+    applyCapabilityClasses() {
+        const root = document.documentElement;
+        if (!root) {
+            return;
+        }
+
+        Object.entries(this.getCapabilities()).forEach(([name, value]) => {
+            const className = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+            if (typeof value === 'string') {
+                [...root.classList]
+                    .filter(existing => existing.startsWith(`${className}-`))
+                    .forEach(existing => root.classList.remove(existing));
+                root.classList.add(`${className}-${value}`);
+            } else if (typeof value === 'boolean' && name.startsWith('prefers')) {
+                root.classList.toggle(className, value);
+            } else if (typeof value === 'boolean') {
+                root.classList.toggle(`has-${className}`, value);
+                root.classList.toggle(`no-${className}`, !value);
+            }
+        });
+    }
+
+    // User preferences can change while the page is open, e.g. the OS switching to dark mode at sunset
+    watchMediaCapabilities() {
+        if (typeof window.matchMedia !== 'function') {
+            return;
+        }
+        const queries = ['(prefers-reduced-motion: reduce)', '(prefers-color-scheme: dark)',
+            '(prefers-color-scheme: light)'];
+        queries.forEach(query => {
+            window.matchMedia(query).addEventListener?.('change', () => {
+                const detectors = this.getFeatureDetectors();
+                ['prefersReducedMotion', 'prefersColorScheme'].forEach(name => {
+                    this.capabilities[name] = this.runDetector(detectors[name]);
+                });
+                this.applyCapabilityClasses();
+            });
+        });
+    }
+
+    getFeatureDetectors() {
+        const matchesMedia = query => typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+
+        return {
             localStorage: () => {
                 try {
                     const test = '__test__';
@@ -246,21 +1204,40 @@ class PocketGNUUtils {
                     return false;
                 }
             },
+            indexedDB: () => typeof window.indexedDB !== 'undefined' && window.indexedDB !== null,
+            cacheAPI: () => 'caches' in window,
             serviceWorker: () => 'serviceWorker' in navigator,
+            beacon: () => typeof navigator.sendBeacon === 'function',
+            backgroundSync: () => 'serviceWorker' in navigator && 'SyncManager' in window,
+            periodicSync: () => 'PeriodicSyncManager' in window,
             intersectionObserver: () => 'IntersectionObserver' in window,
-            webGL: () => {
-                try {
-                    const canvas = document.createElement('canvas');
-                    return !!(canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
-                } catch (e) {
-                    return false;
+            performanceObserver: () => 'PerformanceObserver' in window,
+            performanceEntryTypes: () => (window.PerformanceObserver?.supportedEntryTypes || []).slice(),
+            memoryInfo: () => typeof performance !== 'undefined' && 'memory' in performance,
+            networkInformation: () => 'connection' in navigator,
+            speechRecognition: () => 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window,
+            vibration: () => 'vibrate' in navigator,
+            clipboard: () => typeof navigator.clipboard?.writeText === 'function',
+            webGL: () => this.hasWebGLContext('webgl') || this.hasWebGLContext('experimental-webgl'),
+            webGL2: () => this.hasWebGLContext('webgl2'),
+            touchEvents: () => 'ontouchstart' in window,
+            geolocation: () => 'geolocation' in navigator,
+            prefersReducedMotion: () => matchesMedia('(prefers-reduced-motion: reduce)'),
+            prefersColorScheme: () => {
+                if (matchesMedia('(prefers-color-scheme: dark)')) {
+                    return 'dark';
                 }
+                return matchesMedia('(prefers-color-scheme: light)') ? 'light' : 'no-preference';
             },
-            touchEvents: () => 'ontouchstart' in window,
-            geolocation: () => 'geolocation' in navigator
+            ...this.customDetectors
         };
+    }
 
-        return features[feature] ? features[feature]() : false;
+    // Browsers cap live WebGL contexts, so release the probe right away
+    hasWebGLContext(type) {
+        const context = document.createElement('canvas').getContext?.(type);
+        context?.getExtension('WEBGL_lose_context')?.loseContext();
+        return Boolean(context);
     }
 
     // Validation helpers
@@ -284,7 +1261,10 @@ class PocketGNUUtils {
             try {
                 callback();
             } catch (error) {
-                this.errorHandler?.logCustomError(`Animation frame callback error: ${error.message}`, { error });
+                this.errorHandler?.logCustomError(`Animation frame callback error: ${error.message}`, { error }, {
+                    severity: 'error',
+                    category: 'ui'
+                });
             }
         });
     }
@@ -297,11 +1277,3 @@ window.PocketGNUUtils = new PocketGNUUtils();
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PocketGNUUtils;
 }
-
-// Create global utils instance
-window.PocketGNUUtils = new PocketGNUUtils();
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = PocketGNUUtils;
-}
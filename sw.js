@@ -1,15 +1,28 @@
 // Service Worker for PocketGNU - Phase 2 Performance Optimization
-const CACHE_NAME = 'pocketgnu-v1.0.0';
-const STATIC_CACHE = 'pocketgnu-static-v1.0.0';
-const DYNAMIC_CACHE = 'pocketgnu-dynamic-v1.0.0';
+// Bump the version whenever CRITICAL_RESOURCES changes: activate drops the old caches, so installed clients
+// precache the new list instead of serving the old bundle
+const CACHE_VERSION = 'v1.1.0';
+const CACHE_NAME = `pocketgnu-${CACHE_VERSION}`;
+const STATIC_CACHE = `pocketgnu-static-${CACHE_VERSION}`;
+const DYNAMIC_CACHE = `pocketgnu-dynamic-${CACHE_VERSION}`;
 
 // Critical resources to cache immediately
 const CRITICAL_RESOURCES = [
     '/',
     '/index.html',
     '/css/critical.css',
+    '/js/errorScrubber.js',
+    '/js/stackTrace.js',
+    '/js/eventBus.js',
     '/js/errorHandler.js',
     '/js/utils.js',
+    '/js/storage.js',
+    '/js/scope.js',
+    '/js/errorStore.js',
+    '/js/offlineQueue.js',
+    '/js/errorTransport.js',
+    '/js/componentRegistry.js',
+    '/js/formValidation.js',
     '/js/scripts.js'
 ];
 
@@ -360,6 +373,18 @@ async function prefetchResources(urls) {
     }));
 }
 
+// Background sync: the offline request queue lives in the page, so wake any open clients to replay it
+self.addEventListener('sync', event => {
+    if (event.tag === 'pocketgnu-offline-queue') {
+        event.waitUntil(notifyClientsToReplay());
+    }
+});
+
+async function notifyClientsToReplay() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'REPLAY_OFFLINE_QUEUE' }));
+}
+
 // Periodic cleanup of old cache entries
 self.addEventListener('periodicsync', event => {
     if (event.tag === 'cache-cleanup') {
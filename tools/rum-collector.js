@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Local collector for PocketGNU RUM reports, for testing js/rumReporter.js without a monitoring backend
+//
+// Usage: node tools/rum-collector.js [port] [output.ndjson]
+// Then in the page: window.PocketGNURum.configure({ endpoint: 'http://localhost:9100/rum' })
+// Every report is printed as a one-line summary and, if an output file is given, appended to it as NDJSON.
+const fs = require('fs');
+const http = require('http');
+
+function summarize(report) {
+    const vitals = Object.entries(report.vitals || {})
+        .filter(([, value]) => value !== null)
+        .map(([name, value]) => `${name}=${value}`)
+        .join(' ');
+    return `${report.id} #${report.seq} ${report.page} ${vitals} resources=${(report.resources || []).length}`;
+}
+
+function main(args) {
+    const port = Number(args[0]) || 9100;
+    const output = args[1] || null;
+
+    const server = http.createServer((request, response) => {
+        // Beacons are sent as CORS simple requests; fetch fallbacks may still preflight
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+        if (request.method !== 'POST') {
+            response.writeHead(405);
+            response.end();
+            return;
+        }
+
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            try {
+                const report = JSON.parse(body);
+                console.log(summarize(report));
+                if (output) {
+                    fs.appendFileSync(output, `${JSON.stringify(report)}\n`);
+                }
+                response.writeHead(204);
+            } catch (error) {
+                console.error(`Rejected report: ${error.message}`);
+                response.writeHead(400);
+            }
+            response.end();
+        });
+    });
+
+    server.listen(port, () => console.log(`RUM collector listening on http://localhost:${port}/rum`));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Offline symbolication for PocketGNU diagnostic bundles and raw stack traces
+//
+// Usage: node tools/symbolicate.js <bundle.json|bundle.ndjson|stack.txt> <file.js.map> [more.map ...]
+const fs = require('fs');
+const path = require('path');
+const StackTrace = require('../js/stackTrace.js');
+
+function readErrors(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+
+    try {
+        const bundle = JSON.parse(text);
+        return [...(bundle.errors || []), ...(bundle.persistedErrors || [])];
+    } catch {
+        // Not a JSON bundle: NDJSON bundle, or a bare stack trace
+    }
+
+    try {
+        return lines
+            .map(line => JSON.parse(line))
+            .filter(record => record.kind === 'error' || record.kind === 'persistedError')
+            .map(record => record.data);
+    } catch {
+        return [{ type: 'Stack trace', message: '', stack: text }];
+    }
+}
+
+function main(args) {
+    if (args.length < 2) {
+        console.error('Usage: node tools/symbolicate.js <bundle|stack file> <source map> [more source maps]');
+        return 1;
+    }
+
+    const stackTrace = new StackTrace();
+    args.slice(1).forEach(mapPath => {
+        const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+        stackTrace.addSourceMap(map, map.file || path.basename(mapPath).replace(/\.map$/, ''));
+    });
+
+    readErrors(fs.readFileSync(args[0], 'utf8')).forEach(error => {
+        const stack = error.stack || error.context?.stack || error.retryContext?.stack;
+        const frames = error.frames && error.frames.length > 0 ? error.frames : stackTrace.parse(stack);
+        if (frames.length === 0) {
+            return;
+        }
+
+        console.log(error.message ? `${error.type}: ${error.message}` : error.type);
+        stackTrace.symbolicate(frames).forEach(frame => {
+            const resolved = frame.original ? `  ->  ${stackTrace.formatFrame(frame.original)}` : '';
+            console.log(`    ${stackTrace.formatFrame(frame)}${resolved}`);
+        });
+        console.log('');
+    });
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));